@@ -106,7 +106,7 @@ elseif (!empty($logout)) {
 				<li class="home"><a href="/" data-route="home">Home</a></li>
 				<li class="users"><a href="/users" data-route="users_list">Users</a></li>
 				<li class="users-alias"><a href="/some-alias" data-route="users_alias">Users Alias</a></li>
-				<li class="user_42"><a href="/users/42" data-route="user_show" data-id="42">Secured: User #42</a></li>
+				<li class="user_42"><a href="/users/42" data-route="user_show" data-args="[42]">Secured: User #42</a></li>
 				<li><a href="/some-random-inexisting-route" data-route="some_random_inexisting_route">Testing 404</a></li>
 				<?php if (!$_SESSION["logged_in"]): ?>
 				<li class="login"><a href="/login" data-route="login">Login</a></li>
@@ -253,34 +253,6 @@ elseif (!empty($logout)) {
 		});
 
 
-		App.MenuView = Backbone.Marionette.ItemView.extend({
-			"events": {
-				"click a": "navigate"
-			},
-
-			"initialize": function() {
-				console.log("[App.MenuView.initialize] init the menu view");
-			},
-
-			"navigate": function(e) {
-				e.preventDefault();
-				
-				var $el = $(e.target);
-
-				var route = $el.attr("data-route"),
-					id = $el.attr("data-id");
-
-				if (id !== undefined) {
-					App.Router.go(route, [id]);
-				} else {
-					App.Router.go(route);
-				}
-			},
-
-			"render": function() {}
-		});
-
-
 		/**
 		 * Register to some app events that will be triggered by the router
 		 * Typically where you would orchestrate the render of the application
@@ -313,12 +285,9 @@ elseif (!empty($logout)) {
 				"debug": true,
 				"authed": window.logged_in,
 				"redirectToLogin": true,
+				"interceptLinks": true
 				// "pushState": false
 			});
-
-			var menu = new App.MenuView({
-				"el": $("header nav")
-			});
 		});
 	})();
 	</script>
@@ -1,11 +1,19 @@
-(function(window) {
+(function(window, factory) {
 	"use strict";
 
+	// Export the default router instance as an AMD or CommonJS module, else set it as the Backbone.Router global
+	if (typeof define === "function" && define.amd) {
+		define(["backbone", "underscore"], function(Backbone, _) {
+			return factory(window, Backbone, _);
+		});
+	} else if (typeof module === "object" && module.exports) {
+		module.exports = factory(window, require("backbone"), require("underscore"));
+	} else {
+		factory(window, window.Backbone, window._);
+	}
+})(typeof window !== "undefined" ? window : global, function(window, Backbone, _) {
+	"use strict";
 
-	// Import globals
-	var localStorage = window.localStorage,
-		Backbone = window.Backbone,
-		_ = window._;
 
 
 	/**
@@ -15,46 +23,498 @@
 	var BackboneRouter = Backbone.Router;
 
 	/**
-	 * Instance holder for the actual Backbone.Router
-	 * @type {Backbone.Router}
+	 * Initialize the routing state of a router instance
+	 *
+	 * @param {Object} instance The router instance
 	 */
-	var router = null;
+	var initState = function(instance) {
+		// Instance holder for the actual Backbone.Router
+		instance._router = null;
+
+		// Basic Backbone routes object
+		instance._routes = {};
+
+		// Extended routes definitions
+		instance._extendedRoutes = {};
+
+		// Extended controller
+		instance._extendedController = {};
+
+		// Collection of routes close event
+		instance._closeControllers = {};
+
+		// Trigger cache memory
+		instance._cachedTriggers = [];
+
+		// State of the last route that passed its guards: name, params and path
+		instance._currentRoute = null;
+
+		// Set while the go method navigates, its close controllers having already been checked
+		instance._skipLeave = false;
+
+		// Execute the guards of the current route again
+		instance._recheck = null;
+
+		// Incremented on each navigation, to drop the results of the previous ones
+		instance._navigationId = 0;
+
+		// Set when the browser back or forward buttons are used
+		instance._traversal = false;
+
+		// Scroll positions of the visited history entries, keyed by entry id
+		instance._scrollPositions = {};
+
+		// Id of the current history entry
+		instance._entry = null;
+
+		// ARIA live region announcing the route changes
+		instance._liveRegion = null;
+
+		// Document title when the router started, restored after leaving a route with a title
+		instance._defaultTitle = null;
+
+		// Set when the current route changed the document title
+		instance._titleChanged = false;
+
+		// Meta tags changed by the current route, with their previous content
+		instance._metaTags = [];
+
+		// Navigation events recorded when the debug option is set
+		instance._navigationLog = [];
+
+		// Names of the routes redirected by the current navigation, to detect redirect loops.
+		// The chain is kept until a navigation which is not a redirect starts, redirects can be asynchronous.
+		instance._redirects = [];
+
+		// Stack of the route groups being declared, each entry holds the settings inherited from its parents
+		instance._groups = [];
+
+		// Named guards registry
+		instance._guards = _.clone(defaultGuards);
+
+		// Controllers registry, referred to by the routes loaded from a configuration
+		instance._controllers = {};
+
+		// Backbone.History handlers registered by the instance, keyed by path
+		instance._handlers = {};
+
+		// Backbone.History handler catching the paths that no route matches
+		instance._notFoundHandler = null;
+
+		// Location adapter reading and changing the url
+		instance._location = null;
+
+		// Backbone.History holding the routes of the instance, the one of the location adapter once started
+		instance._history = Backbone.history;
+
+		// Route resolved on the server, its data is used by the first route
+		instance._hydration = null;
+
+		// Page displayed under the open modal routes: its route state, route names, guards check, title and meta tags
+		instance._background = null;
+
+		// Name and path of each route call, to report the duplicate declarations when starting
+		instance._declarations = [];
+	};
 
 	/**
-	 * Basic Backbone routes object
-	 * @type {Object}
+	 * Tell how a navigation changes the modal routes displayed over the current page
+	 *
+	 * @param  {Object} instance The router instance
+	 * @param  {String} name     The name of the route about to be executed, found from the path if not given
+	 * @param  {String} path     The path about to be displayed
+	 * @return {String}          "open" to display a modal route over the current page, "close" to go back to the page
+	 *                           under the modal routes, "deeplink" to execute the background route of a modal route first,
+	 *                           null for a regular navigation
 	 */
-	var routes = {};
+	var modalTransition = function(instance, name, path) {
+		var fragment = String(path || "").replace(/^[#\/]+/, "").replace(/#.*$/, "");
+
+		if (!name && _.isString(path)) {
+			name = (matchPath(instance, fragment) || {}).name;
+		}
+
+		var entry = name && instance._extendedController[name],
+			def = (entry && entry.definition) || {};
+
+		if (instance._background && fragment === instance._background.route.path) {
+			return "close";
+		}
+
+		if (!def.modal) {
+			return null;
+		}
+
+		if (!_.isEmpty(instance.currentRoutes)) {
+			return "open";
+		}
+
+		return def.background ? "deeplink" : null;
+	};
 
 	/**
-	 * Extended routes definitions
-	 * @type {Object}
+	 * Keep the state of the page displayed under the modal routes, the title and meta tags changed
+	 * by the modal routes are then tracked separately so that the page ones can be restored
+	 *
+	 * @param {Object} instance The router instance
+	 * @param {Object} route    The state of the page route
 	 */
-	var extendedRoutes = {};
+	var saveBackground = function(instance, route) {
+		instance._background = {
+			"route": route,
+			"routes": instance.currentRoutes.slice(),
+			"recheck": instance._recheck,
+			"title": window.document ? window.document.title : "",
+			"titleChanged": instance._titleChanged,
+			"metaTags": instance._metaTags
+		};
+
+		instance._titleChanged = false;
+		instance._metaTags = [];
+	};
 
 	/**
-	 * Basic Backbone controller object
-	 * @type {Object}
+	 * Forget the page displayed under the modal routes, restoring its title and meta tags changed by the modal routes
+	 *
+	 * @param {Object} instance The router instance
 	 */
-	var controller = {};
+	var restoreBackground = function(instance) {
+		var background = instance._background;
+
+		instance.restoreTitle();
+
+		if (window.document) {
+			window.document.title = background.title;
+		}
+
+		instance._titleChanged = background.titleChanged;
+		instance._metaTags = background.metaTags;
+		instance._background = null;
+	};
 
 	/**
-	 * Extended controller
-	 * @type {Object}
+	 * Create a method executing a controller of the registry, found when it is executed so that
+	 * the controllers can be registered after the routes. The reference is kept to export the routes.
+	 * A "name.method" reference executes a method of a controller object in the context of that object.
+	 *
+	 * @param  {Object}   instance  The router instance
+	 * @param  {String}   reference The controller name, or the controller and method names joined by a dot
+	 * @return {Function}           The method executing the controller, throws if the controller doesn't exist
 	 */
-	var extendedController = {};
+	var controllerReference = function(instance, reference) {
+		var method = function() {
+			var controller = instance._controllers[reference],
+				context = this,
+				index = reference.lastIndexOf(".");
+
+			if (!controller && index > 0 && _.isObject(instance._controllers[reference.substring(0, index)])) {
+				context = instance._controllers[reference.substring(0, index)];
+				controller = context[reference.substring(index + 1)];
+			}
+
+			if (!_.isFunction(controller)) {
+				throw new Error("[Backbone.Router] Inexisting controller: " + reference);
+			}
+
+			return controller.apply(context, arguments);
+		};
+
+		method.reference = reference;
+
+		return method;
+	};
 
 	/**
-	 * Collection of routes close event
-	 * @type {Object}
+	 * Convert a route definition of a configuration into a route definition:
+	 * the controller, close and resolvers references are resolved from the controllers registry
+	 * and the constraints patterns become RegExps
+	 *
+	 * @param  {Object} instance The router instance
+	 * @param  {Object} config   The route configuration
+	 * @return {Object}          The route definition
+	 */
+	var routeFromConfig = function(instance, config) {
+		var def = _.omit(config, "controller");
+
+		if (_.isString(config.controller)) {
+			def.action = controllerReference(instance, config.controller);
+		}
+
+		if (_.isString(config.close)) {
+			def.close = controllerReference(instance, config.close);
+		}
+
+		if (_.isObject(config.resolve)) {
+			def.resolve = _.object(_.map(config.resolve, function(resolver, key) {
+				return [key, _.isString(resolver) ? controllerReference(instance, resolver) : resolver];
+			}));
+		}
+
+		if (_.isObject(config.constraints)) {
+			def.constraints = _.object(_.map(config.constraints, function(constraint, key) {
+				return [key, _.isObject(constraint) && _.isString(constraint.pattern) ? new RegExp(constraint.pattern) : constraint];
+			}));
+		}
+
+		if (_.isObject(config.children)) {
+			def.children = _.object(_.map(config.children, function(child, name) {
+				return [name, routeFromConfig(instance, child)];
+			}));
+		}
+
+		return def;
+	};
+
+	/**
+	 * Convert a value of a route definition into a JSON compatible value.
+	 * Controllers of the registry become their reference, RegExps their pattern,
+	 * other methods and empty lists are left out.
+	 *
+	 * @param  {Mixed} value The value to convert
+	 * @return {Mixed}       The converted value, undefined if it can't be exported
+	 */
+	var exportValue = function(value) {
+		var result;
+
+		if (_.isFunction(value)) {
+			return value.reference;
+		}
+
+		if (_.isRegExp(value)) {
+			return { "pattern": value.source };
+		}
+
+		if (_.isArray(value)) {
+			result = _.filter(_.map(value, exportValue), function(item) {
+				return !_.isUndefined(item);
+			});
+		} else if (_.isObject(value)) {
+			result = {};
+
+			_.forEach(value, function(item, key) {
+				item = exportValue(item);
+
+				if (!_.isUndefined(item)) {
+					result[key] = item;
+				}
+			});
+		} else {
+			return _.isNull(value) ? undefined : value;
+		}
+
+		return _.isEmpty(result) ? undefined : result;
+	};
+
+	/**
+	 * Specificity of each segment of a route path: 0 for a static segment, 1 for a parameter, 2 for a splat
+	 *
+	 * @param  {String} path The route path
+	 * @return {Array}       The specificity of the segments
+	 */
+	var pathSpecificity = function(path) {
+		return _.map(path.split("/"), function(segment) {
+			return segment.indexOf("*") >= 0 ? 2 : (segment.indexOf(":") >= 0 ? 1 : 0);
+		});
+	};
+
+	/**
+	 * Sort route paths in the order they are tested: the highest priority first, then the most specific
+	 * path (static segments before parameters before splats), then in the declaration order.
+	 * A path shared by several routes has the priority of the route owning it.
+	 *
+	 * @param  {Object} instance The router instance
+	 * @param  {Array}  paths    The route paths in the declaration order
+	 * @return {Array}           The sorted paths
+	 */
+	var rankPaths = function(instance, paths) {
+		var priority = function(path) {
+			var entry = instance._extendedController[instance._routes[path]];
+
+			return (entry && entry.definition && entry.definition.priority) || 0;
+		};
+
+		return paths.slice().sort(function(a, b) {
+			var specificityA = pathSpecificity(a),
+				specificityB = pathSpecificity(b);
+
+			if (priority(a) !== priority(b)) {
+				return priority(b) - priority(a);
+			}
+
+			for (var i = 0; i < Math.min(specificityA.length, specificityB.length); i++) {
+				if (specificityA[i] !== specificityB[i]) {
+					return specificityA[i] - specificityB[i];
+				}
+			}
+
+			// Longer paths first so that the order is consistent, paths of different lengths can only overlap with splats
+			if (specificityA.length !== specificityB.length) {
+				return specificityB.length - specificityA.length;
+			}
+
+			// Keep the declaration order, Array.prototype.sort isn't stable in every browser
+			return _.indexOf(paths, a) - _.indexOf(paths, b);
+		});
+	};
+
+	/**
+	 * Check if every path matched by a route path is also matched by another one.
+	 * Optional parts and segments mixing static text with parameters are not compared.
+	 *
+	 * @param  {String}  pattern     The route path tested first
+	 * @param  {Object}  constraints The parameter constraints of the route path tested first
+	 * @param  {String}  path        The route path tested next
+	 * @return {Boolean}             True if the paths of the next route are all matched by the first one
+	 */
+	var coversPath = function(pattern, constraints, path) {
+		var segments = pattern.split("/"),
+			others = path.split("/");
+
+		if (/[()]/.test(pattern + path)) {
+			return false;
+		}
+
+		for (var i = 0; i < segments.length; i++) {
+			var segment = segments[i];
+
+			// A splat matches the rest of the path
+			if (/^\*\w*$/.test(segment)) {
+				return true;
+			}
+
+			if (i >= others.length || others[i].indexOf("*") >= 0) {
+				return false;
+			}
+
+			if (/^:\w+$/.test(segment)) {
+				if (constraints && constraints[segment.substring(1)]) {
+					return false;
+				}
+			} else if (segment !== others[i]) {
+				return false;
+			}
+		}
+
+		return segments.length === others.length;
+	};
+
+	/**
+	 * Warn about the duplicate route names, the paths declared by several routes
+	 * and the routes which paths are all matched by a route tested before them
+	 *
+	 * @param {Object} instance The router instance
+	 */
+	var checkRoutes = function(instance) {
+		var warn = _.bind(instance.options.warn, instance.options),
+			paths = rankPaths(instance, _.keys(instance._routes));
+
+		_.forEach(_.groupBy(instance._declarations, "name"), function(declarations, name) {
+			if (declarations.length > 1) {
+				warn("[Backbone.Router] Route '" + name + "' is declared " + declarations.length + " times, the last declaration is used");
+			}
+		});
+
+		_.forEach(_.groupBy(_.filter(instance._declarations, function(declaration) {
+			return _.isString(declaration.path);
+		}), "path"), function(declarations, path) {
+			var names = _.uniq(_.pluck(declarations, "name"));
+
+			if (names.length > 1) {
+				warn("[Backbone.Router] Routes '" + names.join("', '") + "' share the path '/" + path +
+					"', they are all executed by '" + instance._routes[path] + "'");
+			}
+		});
+
+		_.forEach(paths, function(path, index) {
+			var covering = _.find(paths.slice(0, index), function(pattern) {
+				return coversPath(pattern, instance._extendedController[instance._routes[pattern]].constraints, path);
+			});
+
+			if (_.isString(covering)) {
+				warn("[Backbone.Router] Route '" + instance._routes[path] + "' (/" + path + ") is unreachable, " +
+					"its paths are matched by '" + instance._routes[covering] + "' (/" + covering + ")");
+			}
+		});
+	};
+
+	/**
+	 * Move the Backbone.History handlers of a router instance in the order of its ranked paths,
+	 * at the position of its first handler so that the other router instances keep their precedence
+	 *
+	 * @param {Object} instance The router instance
+	 */
+	var sortHandlers = function(instance) {
+		var handlers = instance._history.handlers,
+			owned = _.values(instance._handlers),
+			paths = _.filter(_.keys(instance._routes), function(path) {
+				return instance._handlers[path];
+			}),
+			first = _.find(handlers, function(handler) {
+				return _.contains(owned, handler);
+			}),
+			others = _.difference(handlers, owned),
+			index = _.indexOf(handlers, first);
+
+		instance._history.handlers = others.slice(0, index).concat(_.map(rankPaths(instance, paths), function(path) {
+			return instance._handlers[path];
+		}), others.slice(index));
+	};
+
+	/**
+	 * Bind a path to the Backbone.History of a router instance, the same way as Backbone.Router.route does.
+	 * The path is handled by the route currently owning it, which may change when routes are removed.
+	 *
+	 * @param {Object}          instance       The router instance
+	 * @param {Backbone.Router} backboneRouter The Backbone.Router of the instance
+	 * @param {String}          path           The route path
 	 */
-	var closeControllers = {};
+	var bindRoute = function(instance, backboneRouter, path) {
+		// Store the regexp format of the path using Backbone.Router internal method _routeToRegExp
+		var re = instance._extendedController[instance._routes[path]].re = backboneRouter._routeToRegExp(path);
+
+		instance._history.route(re, function(fragment) {
+			var name = instance._routes[path],
+				args = backboneRouter._extractParameters(re, fragment);
+
+			instance.processNavigation(name, args);
+
+			backboneRouter.trigger.apply(backboneRouter, ["route:" + name].concat(args));
+			backboneRouter.trigger("route", name, args);
+			instance._history.trigger("route", backboneRouter, name, args);
+		});
+
+		// Backbone.History adds the handlers at the beginning of its list
+		instance._handlers[path] = instance._history.handlers[0];
+	};
 
 	/**
-	 * Trigger cache memory
-	 * @type {Array}
+	 * Guards registered in every router instance, the "authed" guard applies the route.authed option
+	 * @type {Object}
 	 */
-	var cachedTriggers = [];
+	var defaultGuards = {
+		"authed": function(name, params, from, def) {
+			// Check if the route should be ignored based on the user being logged in or not
+			// and the route.authed option being set to true or false
+			if (_.isUndefined(def.authed) || (def.authed && this.options.authed) || (!def.authed && !this.options.authed)) {
+				return true;
+			}
+
+			// Redirect user to login route if defined, else deny access
+			if (this.options.redirectToLogin && !this.options.authed) {
+				this.options.log("[Backbone.Router] Secured page, redirecting to login");
+
+				// Store current route in case login reloads the page
+				this.storeCurrentRoute();
+
+				return "login";
+			}
+
+			this.options.log("[Backbone.Router] Skipping route '" + name +
+				"', " + (this.options.authed ? "" : "not ") + "logged in");
+
+			return false;
+		}
+	};
 
 
 	/**
@@ -71,9 +531,51 @@
 		// Enable automatic execution of a login route when accessing a secured route
 		"redirectToLogin": false,
 
+		// Guards applied to every route that has a path
+		"guards": [],
+
+		// Pass the route parameters to the actions as a single object keyed by name
+		"namedParams": false,
+
 		// Root url
 		"root": "",
 
+		// Location adapter: "browser" to use the browser url, "memory" to keep it in memory,
+		// or an object implementing the adapter methods
+		"history": "browser",
+
+		// Route resolved on the server with the resolve method, its data is given to the first route
+		"hydrate": null,
+
+		// Navigate through the router when clicking same-origin links and elements with a data-route attribute
+		"interceptLinks": false,
+
+		// Name of the route executed when a trigger or an action fails
+		"errorRoute": "500",
+
+		// Scroll after navigating: true restores the scroll position on back/forward and scrolls to the url anchor
+		// or the top of the page otherwise, a method can return the position, false leaves the scroll untouched
+		"scrollBehavior": false,
+
+		// Selector of the element focused after navigating
+		"focus": false,
+
+		// Announce the route changes in an ARIA live region, a method can return the message
+		"announce": false,
+
+		// Template of the document title where '%s' is replaced by the route title, or a method returning the title
+		"titleTemplate": null,
+
+		// Log the user out when an ajax request responds with a 401 status
+		"logoutOnUnauthorized": false,
+
+		// Storage of the route to return to after logging in: "session", "local"
+		// or an object implementing the getItem, setItem and removeItem methods of the Storage interface
+		"storage": "session",
+
+		// Milliseconds after which the stored route is forgotten
+		"storedRouteExpiry": 1800000,
+
 		// Print out debug information
 		"debug": false,
 
@@ -82,496 +584,2697 @@
 			if (this.debug && window.console && window.console.log) {
 				window.console.log.apply(window.console, arguments);
 			}
+		},
+
+		// Override the method reporting the route conflicts found when starting, even without the debug option
+		"warn": function() {
+			if (window.console && window.console.warn) {
+				window.console.warn.apply(window.console, arguments);
+			}
 		}
 	};
 
 
 
 	/**
-	 * Backbone.Router commander
-	 * @type {Object}
+	 * Retrieve Backbone.$, which provides the promises and the query strings of the router.
+	 * Without a browser, such as on the server, it has to be set to jQuery bound to a window (jsdom),
+	 * or to a library implementing the jQuery Deferred, when and param methods.
+	 *
+	 * @return {Function} Backbone.$
+	 * @throws {Error}    If Backbone.$ is missing or doesn't provide the Deferred, when and param methods
 	 */
-	Backbone.Router = {
+	var getJQuery = function() {
+		var $ = Backbone.$;
 
-		/**
-		 * Which event aggregator to use for the triggers listed in each routes
-		 * By default it uses the global Marionette event aggregator but can be replaced by
-		 * any other Backbone.Events instance for example :
-		 *
-		 * var myEvents = {}
-		 * _.extend(myEvents, Backbone.Events);
-		 * Backbone.Router.dispatcher = myEvents;
-		 */
-		"dispatcher": null,
+		if (!$ || !_.isFunction($.Deferred) || !_.isFunction($.when) || !_.isFunction($.param)) {
+			throw new Error("[Backbone.Router] Backbone.$ has to provide the jQuery Deferred, when and param methods, " +
+				"set it to jQuery or to a compatible library before using the router");
+		}
 
+		return $;
+	};
 
-		/**
-		 * Store routes that were executed last
-		 */
-		"currentRoutes": [],
+	/**
+	 * Wrap a value in a jQuery promise.
+	 * Thenables (native promises, jQuery Deferreds) are followed, any other value resolves immediately.
+	 *
+	 * @param  {Mixed}   value The value or thenable to wrap
+	 * @return {Promise}       A jQuery promise
+	 */
+	var when = function(value) {
+		var deferred = getJQuery().Deferred();
 
+		if (value && _.isFunction(value.then)) {
+			value.then(deferred.resolve, deferred.reject);
+		} else {
+			deferred.resolve(value);
+		}
 
-		/**
-		 * Initialize the Backbone Marionette router
-		 */
-		"start": function(app, options) {
-			var self = this;
+		return deferred.promise();
+	};
 
-			// Extend default options
-			this.options = _.extend({}, defaultOptions, options);
+	/**
+	 * Execute a callback and wrap its result in a promise, thrown errors become rejections
+	 *
+	 * @param  {Function} callback The method to execute
+	 * @param  {Object}   context  Context of the callback
+	 * @param  {Array}    args     Arguments passed to the callback
+	 * @return {Promise}           A jQuery promise
+	 */
+	var attempt = function(callback, context, args) {
+		try {
+			return when(callback.apply(context, args || []));
+		} catch (error) {
+			return getJQuery().Deferred().reject(error).promise();
+		}
+	};
 
-			// Find an event dispatcher
-			if (_.isNull(this.dispatcher) && _.isObject(app)) {
-				// Check if object is a marionette app and retrieve it
-				if (app.vent) {
-					this.dispatcher = app.vent;
-				}
-				// Or assume that it is a copy of Backbone.Events
-				else {
-					this.dispatcher = app;
-				}
-			} else {
-				this.log("[Backbone.Router] Could not start router, missing dispatcher instance");
-				return false;
-			}
+	/**
+	 * Parse a query string into an object, repeated keys are gathered in arrays
+	 *
+	 * @param  {String} query The query string without the question mark (i.e. 'page=2&sort=name')
+	 * @return {Object}       The parsed parameters
+	 */
+	var parseQuery = function(query) {
+		var result = {};
 
-			this.options.log("[Backbone.Router.start] Starting router");
+		if (!_.isString(query) || !query) {
+			return result;
+		}
 
-			// Extend Backbone.Router
-			var Router = BackboneRouter.extend(_.extend({}, controller, { "routes": routes }));
+		_.forEach(query.replace(/\+/g, " ").split("&"), function(pair) {
+			if (!pair) {
+				return;
+			}
 
-			// Initialize router
-			router = new Router();
+			var index = pair.indexOf("="),
+				key = decodeURIComponent(index < 0 ? pair : pair.substring(0, index)),
+				value = index < 0 ? "" : decodeURIComponent(pair.substring(index + 1));
 
-			// Determine the path regex of each route and store it
-			_.forEach(routes, function(name, path) {
-				if (self.exists({ "name": name })) {
-					// Store the regexp format of the path using Backbone.Router internal method _routeToRegExp
-					extendedController[name].re = router._routeToRegExp(path);
-				}
-			});
+			if (_.has(result, key)) {
+				result[key] = [].concat(result[key], value);
+			} else {
+				result[key] = value;
+			}
+		});
 
-			// Check if Backbone.History is already enabled
-			if (!Backbone.History.started) {
-				this.options.log("[Backbone.Router.start] Starting Backbone.history (" +
-					(this.options.root ? "root: " + this.options.root : "empty root url") + ")");
+		return result;
+	};
 
-				// Init Backbone.history
-				var existingRoute = Backbone.history.start({
-					pushState: this.options.pushState,
-					root: this.options.root
-				});
+	/**
+	 * Retrieve the parameter names of a path in the order of the Backbone.Router regexp groups
+	 *
+	 * @param  {String} path The route path (i.e. 'user/:id(/:tab)/*file')
+	 * @return {Array}       The parameter names (i.e. ['id', 'tab', 'file'])
+	 */
+	var paramNames = function(path) {
+		return _.map(path.match(/(\(\?)?:\w+|\*\w+/g) || [], function(name) {
+			return name.replace(/^(\(\?)?[:*]/, "");
+		});
+	};
 
-				// Trigger a 404 if the current route doesn't exist
-				if (!existingRoute) {
-					this.options.log("[Backbone.Router] Inexisting load route");
+	/**
+	 * Map the positional arguments given by Backbone.Router onto the parameter names of a path.
+	 * An argument that is already a parameters object is returned as is.
+	 *
+	 * @param  {String} path The route path
+	 * @param  {Array}  args Positional arguments, the query string being the last one
+	 * @return {Object}      The parameters object with a parsed 'query' key
+	 */
+	var extractParams = function(path, args) {
+		if (args.length === 1 && _.isObject(args[0]) && !_.isArray(args[0])) {
+			return _.extend({ "query": {} }, args[0]);
+		}
 
-					this.processControllers("404", [self.options.pushState ?
-							window.location.pathname.substring(1) : window.location.hash.substring(1)]);
-				} else {
-					// Check if a route was stored while requiring a user login
-					var storedRoute = this.getStoredRoute();
+		var names = paramNames(path),
+			params = {};
 
-					if (storedRoute) {
-						this.options.log("[Backbone.Router] Loaded stored route: " + storedRoute);
+		_.forEach(names, function(name, index) {
+			params[name] = _.isUndefined(args[index]) ? null : args[index];
+		});
 
-						// Clear stored route
-						this.clearStore();
-						
-						// Redirect to stored route
-						this.go({ "path": storedRoute });
-					}
-				}
-			}
-		},
+		params.query = parseQuery(args[names.length]);
+
+		return params;
+	};
+
+	/**
+	 * Append the data resolved for a route to its arguments. The positional arguments are padded to the parameters
+	 * of the path and the query string, so that the data always comes at the same position.
+	 *
+	 * @param  {String} path The route path, undefined for a route without path
+	 * @param  {Array}  args Positional arguments or a single parameters object
+	 * @param  {Object} data The resolved data keyed by name
+	 * @return {Array}       The arguments followed by the data
+	 */
+	var appendData = function(path, args, data) {
+		args = _.toArray(args);
+
+		if (_.isString(path) && !(args.length === 1 && _.isObject(args[0]) && !_.isArray(args[0]))) {
+			var count = paramNames(path).length + 1;
+
+			args = args.slice(0, count);
+
+			while (args.length < count) {
+				args.push(null);
+			}
+		}
+
+		return args.concat([data]);
+	};
+
+	/**
+	 * Named parameter types usable as route constraints
+	 * Each type declares the regexp source matching its values and a method coercing them
+	 * @type {Object}
+	 */
+	var paramTypes = {
+		"int": {
+			"pattern": "-?\\d+",
+			"coerce": function(value) {
+				return parseInt(value, 10);
+			}
+		},
+		"number": {
+			"pattern": "-?\\d+(?:\\.\\d+)?",
+			"coerce": parseFloat
+		},
+		"uuid": {
+			"pattern": "[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}"
+		},
+		"slug": {
+			"pattern": "[a-z0-9]+(?:-[a-z0-9]+)*"
+		}
+	};
+
+	/**
+	 * Retrieve the regexp source of a constraint.
+	 * Anchors are removed and capturing groups become non-capturing so that the route groups keep their order.
+	 *
+	 * @param  {Mixed}  constraint A type name, a list of allowed values or a RegExp
+	 * @return {String}            The regexp source
+	 */
+	var constraintSource = function(constraint) {
+		if (_.isArray(constraint)) {
+			return "(?:" + _.map(constraint, function(value) {
+				return String(value).replace(/[\-{}\[\]()*+?.,\\\^$|#\s\/]/g, "\\$&");
+			}).join("|") + ")";
+		}
+
+		if (_.isRegExp(constraint)) {
+			return constraint.source
+				.replace(/^\^|\$$/g, "")
+				.replace(/\\.|\((?!\?)/g, function(match) {
+					return match === "(" ? "(?:" : match;
+				});
+		}
+
+		if (paramTypes[constraint]) {
+			return paramTypes[constraint].pattern;
+		}
+
+		throw new Error("[Backbone.Router] Unknown parameter constraint: " + constraint);
+	};
+
+	/**
+	 * Check a value against a constraint
+	 *
+	 * @param  {Mixed}   constraint The parameter constraint
+	 * @param  {Mixed}   value      The value to check
+	 * @return {Boolean}            True if the value is valid
+	 */
+	var matchConstraint = function(constraint, value) {
+		return new RegExp("^" + constraintSource(constraint) + "$").test(String(value));
+	};
+
+	/**
+	 * Convert a route path into a regexp the same way Backbone.Router does,
+	 * using the constraints patterns for the constrained parameters
+	 *
+	 * @param  {String} path        The route path
+	 * @param  {Object} constraints Constraints keyed by parameter name
+	 * @return {RegExp}             The path regexp, its last group being the query string
+	 */
+	var compilePath = function(path, constraints) {
+		constraints = constraints || {};
+
+		var source = path
+			.replace(/[\-{}\[\]+?.,\\\^$|#\s]/g, "\\$&")
+			.replace(/\((.*?)\)/g, "(?:$1)?")
+			.replace(/(\(\?)?:(\w+)/g, function(match, optional, name) {
+				if (optional) {
+					return match;
+				}
+
+				return "(" + (constraints[name] ? constraintSource(constraints[name]) : "[^/?]+") + ")";
+			})
+			.replace(/\*(\w+)/g, function(match, name) {
+				return "(" + (constraints[name] ? constraintSource(constraints[name]) : "[^?]*?") + ")";
+			});
+
+		return new RegExp("^" + source + "(?:\\?([\\s\\S]*))?$");
+	};
+
+	/**
+	 * Coerce the route arguments to the types declared in the constraints.
+	 * The arguments can be positional or a single parameters object.
+	 *
+	 * @param  {String} path        The route path
+	 * @param  {Object} constraints Constraints keyed by parameter name
+	 * @param  {Array}  args        The route arguments
+	 * @return {Array}              The coerced arguments
+	 */
+	var coerceParams = function(path, constraints, args) {
+		var coerce = function(name, value) {
+			var type = paramTypes[constraints[name]];
+
+			if (type && type.coerce && _.isString(value)) {
+				return type.coerce(value);
+			}
+
+			return value;
+		};
+
+		if (args.length === 1 && _.isObject(args[0]) && !_.isArray(args[0])) {
+			var params = _.clone(args[0]);
+
+			_.forEach(params, function(value, name) {
+				params[name] = coerce(name, value);
+			});
+
+			return [params];
+		}
+
+		var names = paramNames(path);
+
+		return _.map(args, function(value, index) {
+			return index < names.length ? coerce(names[index], value) : value;
+		});
+	};
+
+	/**
+	 * Build a path by injecting parameters into a route path.
+	 * Handles named parameters, splats and optional segments, which are left out when one of their parameters is missing.
+	 *
+	 * @param  {String} path        The route path (i.e. 'user/:id(/:tab)')
+	 * @param  {Mixed}  params      List of parameters mapped by position or object mapped by name
+	 * @param  {Object} constraints Constraints keyed by parameter name
+	 * @param  {Object} query       Parameters to append as a query string
+	 * @return {String}             The path with the encoded parameters injected
+	 */
+	var buildPath = function(path, params, constraints, query) {
+		var values = {},
+			names = paramNames(path);
+
+		constraints = constraints || {};
+
+		// Map positional parameters onto their names
+		if (_.isArray(params) || _.isArguments(params)) {
+			_.forEach(names, function(name, index) {
+				values[name] = params[index];
+			});
+		} else if (_.isObject(params)) {
+			values = _.omit(params, "query");
+		}
+
+		var isMissing = function(name) {
+			return _.isUndefined(values[name]) || _.isNull(values[name]) || values[name] === "";
+		};
+
+		var fill = function(segment) {
+			return segment.replace(/(:|\*)(\w+)/g, function(match, type, name) {
+				var value = values[name];
+
+				if (isMissing(name)) {
+					throw new Error("[Backbone.Router] Missing required parameter '" + name + "' for path '" + path + "'");
+				}
+
+				if (constraints[name] && !matchConstraint(constraints[name], value)) {
+					throw new Error("[Backbone.Router] Invalid value for parameter '" + name + "': " + value);
+				}
+
+				// Splats can contain slashes
+				if (type == "*") {
+					return _.map(String(value).split("/"), encodeURIComponent).join("/");
+				}
+
+				return encodeURIComponent(value);
+			});
+		};
+
+		// Replace optional segments and parameters in a single pass so that injected values are never parsed again
+		path = path.replace(/\(([^()]*)\)|(?:[:*]\w+)/g, function(match, optional) {
+			if (_.isUndefined(optional)) {
+				return fill(match);
+			}
+
+			// Leave out the optional segment when one of its parameters is missing
+			if (_.some(paramNames(optional), isMissing)) {
+				return "";
+			}
+
+			return fill(optional);
+		});
+
+		// Append the query string
+		if (_.isObject(query) && !_.isEmpty(query)) {
+			path += "?" + getJQuery().param(query, true);
+		}
+
+		return path;
+	};
+
+	/**
+	 * Join two paths, ignoring their leading and trailing slashes
+	 *
+	 * @param  {String} prefix The parent path
+	 * @param  {String} path   The child path
+	 * @return {String}        The joined path without leading slash
+	 */
+	var joinPaths = function(prefix, path) {
+		return _.compact([prefix.replace(/^\/+|\/+$/g, ""), path.replace(/^\/+|\/+$/g, "")]).join("/");
+	};
+
+	/**
+	 * Retrieve a storage backend, web storages are only returned if they can be written to
+	 * as they throw in some private browsing modes
+	 *
+	 * @param  {Mixed}  storage "session", "local" or an object implementing the Storage interface
+	 * @return {Object}         The storage, null if not available
+	 */
+	var getStorage = function(storage) {
+		if (_.isObject(storage)) {
+			return storage;
+		}
+
+		try {
+			var webStorage = window[storage === "local" ? "localStorage" : "sessionStorage"];
+
+			webStorage.setItem("backbone-router:test", "1");
+			webStorage.removeItem("backbone-router:test");
+
+			return webStorage;
+		} catch (error) {
+			return null;
+		}
+	};
+
+	/**
+	 * Location adapters reading and changing the url for a router instance
+	 *
+	 * Adapter methods :
+	 *  - start(): Start listening to the url changes and execute the current route, returns false if it was already done
+	 *  - stop(): Stop listening to the url changes
+	 *  - navigate(path, options): Change the url, the route is executed if options.trigger is set
+	 *  - traverse(steps): Move back or forward in the history by a number of steps
+	 *  - entry(): An id of the current history entry, the scroll positions are kept by entry, the path when not given
+	 *  - path(): The current url path
+	 *  - hash(): The anchor of the current url with its '#', an empty string if there isn't any
+	 *  - history: The Backbone.History holding the routes, Backbone.history when not given
+	 *
+	 * @type {Object}
+	 */
+	var locationAdapters = {
+		// Browser url through Backbone.history, using pushState or the url hash
+		"browser": function(instance) {
+			return {
+				"start": function() {
+					// Flag the navigations coming from the back and forward buttons, bound before Backbone.history's listeners
+					Backbone.$(window).on("popstate." + instance.cid + " hashchange." + instance.cid, function() {
+						instance._traversal = true;
+					});
+
+					// Check if Backbone.History is already enabled
+					if (Backbone.History.started) {
+						return false;
+					}
+
+					instance.options.log("[Backbone.Router.start] Starting Backbone.history (" +
+						(instance.options.root ? "root: " + instance.options.root : "empty root url") + ")");
+
+					// Init Backbone.history, a 404 is processed if the current route doesn't exist
+					Backbone.history.start({
+						pushState: instance.options.pushState,
+						root: instance.options.root
+					});
+
+					return true;
+				},
+
+				"stop": function() {
+					Backbone.$(window).off("popstate." + instance.cid + " hashchange." + instance.cid);
+
+					if (Backbone.History.started && _.isEmpty(Backbone.history.handlers)) {
+						Backbone.history.stop();
+					}
+				},
+
+				"navigate": function(path, options) {
+					return Backbone.history.navigate(path, options);
+				},
+
+				"traverse": function(steps) {
+					window.history.go(steps);
+				},
+
+				"entry": function() {
+					var state = window.history && window.history.state,
+						id;
+
+					if (state && state.backboneRouter) {
+						return state.backboneRouter;
+					}
+
+					// Mark the entry, the time keeps the ids unique across page reloads
+					id = new Date().getTime() + "-" + _.uniqueId();
+
+					if (window.history && window.history.replaceState) {
+						window.history.replaceState(_.extend({}, state, { "backboneRouter": id }), window.document.title);
+					}
+
+					return id;
+				},
+
+				"path": function() {
+					if (!window.location) {
+						return "";
+					}
+
+					return instance.options.pushState ? window.location.pathname.substring(1) : window.location.hash.substring(1);
+				},
+
+				"hash": function() {
+					// The anchor is part of the fragment without pushState
+					return instance.options.pushState && window.location ? window.location.hash : "";
+				}
+			};
+		},
+
+		// Urls kept in a stack in memory, the address bar is never touched.
+		// The routes are held by a separate Backbone.History so that the ones of the page aren't executed.
+		"memory": function(instance) {
+			var history = new Backbone.History(),
+				stack = [""],
+				index = 0;
+
+			var load = function() {
+				return history.loadUrl(stack[index].replace(/#.*$/, ""));
+			};
+
+			return {
+				"history": history,
+
+				"start": function() {
+					load();
+
+					return true;
+				},
+
+				"stop": function() {},
+
+				"navigate": function(path, options) {
+					path = String(path || "").replace(/^[#\/]+/, "");
+
+					if (!_.isObject(options)) {
+						options = { "trigger": !!options };
+					}
+
+					if (path === stack[index]) {
+						return;
+					}
+
+					if (options.replace) {
+						stack[index] = path;
+					} else {
+						stack = stack.slice(0, index + 1).concat([path]);
+						index++;
+					}
+
+					history.fragment = path.replace(/#.*$/, "");
+
+					if (options.trigger) {
+						return load();
+					}
+				},
+
+				"traverse": function(steps) {
+					if (index + steps < 0 || index + steps >= stack.length) {
+						return false;
+					}
+
+					index += steps;
+					instance._traversal = true;
+					load();
+
+					return true;
+				},
+
+				"entry": function() {
+					return index;
+				},
+
+				"path": function() {
+					return stack[index].replace(/#.*$/, "");
+				},
+
+				"hash": function() {
+					return stack[index].indexOf("#") < 0 ? "" : stack[index].substring(stack[index].indexOf("#"));
+				}
+			};
+		}
+	};
+
+	/**
+	 * Create the location adapter of a router instance from its history option
+	 *
+	 * @param  {Object} instance The router instance
+	 * @return {Object}          The location adapter
+	 */
+	var createLocation = function(instance) {
+		var history = instance.options.history;
+
+		if (_.isObject(history)) {
+			return history;
+		}
+
+		return (locationAdapters[history] || locationAdapters.browser)(instance);
+	};
+
+	/**
+	 * Retrieve the location adapter of a router instance, created on first use if the router isn't started
+	 *
+	 * @param  {Object} instance The router instance
+	 * @return {Object}          The location adapter
+	 */
+	var getLocation = function(instance) {
+		if (!instance._location) {
+			instance._location = createLocation(instance);
+		}
+
+		return instance._location;
+	};
+
+	/**
+	 * Compute the document title and meta tags declared by a route.
+	 * Titles and meta contents can be underscore templates receiving the route parameters,
+	 * or methods receiving the route parameters and resolved data.
+	 *
+	 * @param  {Object} instance The router instance
+	 * @param  {Object} def      The route definition
+	 * @param  {Object} params   The route parameters keyed by name
+	 * @param  {Object} data     The data resolved for the route
+	 * @return {Object}          The title with the titleTemplate option applied, null if the route has none,
+	 *                           and the meta contents keyed by name
+	 */
+	var routeHead = function(instance, def, params, data) {
+		var title = _.isFunction(def.title) ? def.title.call(instance, params, data) : def.title,
+			meta = _.isFunction(def.meta) ? def.meta.call(instance, params, data) : def.meta,
+			template = instance.options.titleTemplate;
+
+		if (_.isString(title)) {
+			title = _.template(title)(params);
+			title = _.isFunction(template) ? template.call(instance, title) : (template ? template.replace("%s", title) : title);
+		} else {
+			title = null;
+		}
+
+		return {
+			"title": title,
+			"meta": _.object(_.map(meta, function(content, name) {
+				return [name, _.template(String(content))(params)];
+			}))
+		};
+	};
+
+	/**
+	 * Create the controller entry of a route, holding its compiled path, settings and controllers
+	 *
+	 * @param  {Object}   def       The route definition
+	 * @param  {Function} [load]    The method loading the route module
+	 * @param  {Function} [wrapper] The route controller
+	 * @return {Object}             The controller entry
+	 */
+	var controllerEntry = function(def, load, wrapper) {
+		return {
+			"re": null,
+			"path": def.path,
+			"constraints": def.constraints || null,
+			"errorRoute": def.errorRoute || null,
+			"scrollBehavior": def.scrollBehavior,
+			"focus": def.focus,
+			"definition": def,
+			"load": load || null,
+			"wrapper": wrapper || null,
+			"wrappers": wrapper ? [wrapper] : []
+		};
+	};
+
+	/**
+	 * Declare the children of a route in a group inheriting the route settings
+	 *
+	 * @param {Object} instance The router instance
+	 * @param {String} name     The name of the route
+	 * @param {Object} def      The route definition
+	 * @param {Object} children The children route definitions keyed by name
+	 */
+	var declareChildren = function(instance, name, def, children) {
+		instance.group(def.path || "", {
+			"name": name,
+			"authed": def.authed,
+			"before": def.before,
+			"after": def.after,
+			"guards": def.guards,
+			"constraints": def.constraints
+		}, function() {
+			_.forEach(children, function(childDef, childName) {
+				this.route(childName, childDef);
+			}, this);
+		});
+	};
+
+	/**
+	 * Execute the guards of a route one after the other until one of them denies or redirects.
+	 * The "authed" guard is always executed first, global guards only apply to routes with a path
+	 * that are not executed as triggers.
+	 *
+	 * @param  {Object}  instance The router instance
+	 * @param  {String}  name     The name of the route
+	 * @param  {Array}   args     The route arguments
+	 * @param  {Object}  def      The route definition
+	 * @param  {Boolean} trigger  Whether the route is executed as a trigger
+	 * @param  {Array}   [guards] The guards to execute instead of the ones of the route
+	 * @return {Promise}          Resolved with true if the route can be executed, else with the result of the guard
+	 */
+	var checkGuards = function(instance, name, args, def, trigger, guards) {
+		var deferred = getJQuery().Deferred(),
+			from = instance._currentRoute && instance._currentRoute.name,
+			params = _.isString(def.path) ? extractParams(def.path, args) : {},
+			list = guards || ["authed"];
+
+		if (!guards && !trigger && _.isString(def.path)) {
+			list = list.concat(instance.options.guards || []);
+		}
+
+		if (!guards && def.guards) {
+			list = list.concat(def.guards);
+		}
+
+		var next = function(index) {
+			if (index >= list.length) {
+				deferred.resolve(true);
+				return;
+			}
+
+			var guard = list[index],
+				guardArgs = [name, params, from, def];
+
+			// Resolve named guards
+			if (_.isObject(guard) && !_.isFunction(guard)) {
+				guardArgs = guardArgs.concat(guard.args || []);
+				guard = guard.name;
+			}
+
+			if (_.isString(guard)) {
+				if (!instance._guards[guard]) {
+					deferred.reject(new Error("[Backbone.Router] Inexisting guard: " + guard));
+					return;
+				}
+
+				guard = instance._guards[guard];
+			}
+
+			attempt(guard, instance, guardArgs).done(function(result) {
+				if (result === true) {
+					next(index + 1);
+				} else {
+					deferred.resolve(result);
+				}
+			}).fail(deferred.reject);
+		};
+
+		next(0);
+
+		return deferred.promise();
+	};
+
+	/**
+	 * Find the route handling a path, the paths are tested in the Backbone.History order once the router is started
+	 *
+	 * @param  {Object} instance The router instance
+	 * @param  {String} path     The path relative to the root url, may include a query string
+	 * @return {Object}          The route name, its path pattern, the coerced arguments and the path, null if none matches
+	 */
+	var matchPath = function(instance, path) {
+		var fragment = String(path || "").replace(/^[#\/]+/, "").replace(/#.*$/, ""),
+			handlers = _.pairs(instance._handlers),
+			paths = rankPaths(instance, _.keys(instance._routes));
+
+		if (instance._router) {
+			paths = _.filter(_.map(instance._history.handlers, function(handler) {
+				var pair = _.find(handlers, function(item) {
+					return item[1] === handler;
+				});
+
+				return pair && pair[0];
+			}), _.isString);
+		}
+
+		var found = _.find(paths, function(pattern) {
+			var entry = instance._extendedController[instance._routes[pattern]];
+
+			return entry && compilePath(pattern, entry.constraints).test(fragment);
+		});
+
+		if (!_.isString(found)) {
+			return null;
+		}
+
+		var name = instance._routes[found],
+			constraints = instance._extendedController[name].constraints,
+			args = BackboneRouter.prototype._extractParameters(compilePath(found, constraints), fragment);
+
+		return {
+			"name": name,
+			"pattern": found,
+			"args": constraints ? coerceParams(found, constraints, args) : args,
+			"path": fragment
+		};
+	};
+
+	/**
+	 * Build the storage key of the stored route, namespaced by the root url of the router
+	 *
+	 * @param  {Object} instance The router instance
+	 * @return {String}          The storage key
+	 */
+	var storeKey = function(instance) {
+		return "backbone-router:" + (instance.options.root || "/") + ":path";
+	};
+
+	/**
+	 * Build the cache key of a trigger from its name and arguments
+	 *
+	 * @param  {Object} trigger The trigger object definition
+	 * @return {String}         The cache key
+	 */
+	var cacheKey = function(trigger) {
+		var args = _.isArray(trigger.args) ? trigger.args : [trigger.args];
+
+		try {
+			return trigger.name + JSON.stringify(args);
+		} catch (error) {
+			// Arguments that can't be serialized (i.e. circular structures) share the cache of the trigger name
+			return trigger.name;
+		}
+	};
+
+	/**
+	 * Check if a route belongs to the scope of another one: the same route, or a route of the same group
+	 *
+	 * @param  {String}  scope The name of the route owning the scope
+	 * @param  {String}  name  The route name to check
+	 * @return {Boolean}       True if the route belongs to the scope
+	 */
+	var inRouteScope = function(scope, name) {
+		var group = scope.lastIndexOf(".") > 0 ? scope.substring(0, scope.lastIndexOf(".")) : scope;
+
+		return !!name && (name === group || name.indexOf(group + ".") === 0);
+	};
+
+	/**
+	 * Load a route module, either with a method returning the module or a promise of it (i.e. a dynamic import)
+	 * or with the id of an AMD module. ES modules are unwrapped from their default export.
+	 *
+	 * @param  {Function|String} load The loader method or the AMD module id
+	 * @return {Promise}              Resolved with the route module
+	 */
+	var loadModule = function(load) {
+		var loading;
+
+		if (_.isString(load)) {
+			var deferred = getJQuery().Deferred();
+
+			if (_.isFunction(window.require)) {
+				window.require([load], deferred.resolve, deferred.reject);
+			} else {
+				deferred.reject(new Error("No AMD loader to load the module '" + load + "'"));
+			}
+
+			loading = deferred.promise();
+		} else {
+			loading = attempt(load);
+		}
+
+		return loading.then(function(module) {
+			return module && _.has(module, "default") ? module["default"] : module;
+		});
+	};
+
+	/**
+	 * Execute a list of callbacks one after the other.
+	 * Each callback waits for the promise returned by the previous one, the first rejection stops the sequence.
+	 *
+	 * @param  {Array}   steps   List of methods to execute
+	 * @param  {Object}  context Context of the callbacks
+	 * @return {Promise}         Resolved with the result of the last step
+	 */
+	var sequence = function(steps, context) {
+		return _.reduce(steps, function(promise, step) {
+			return promise.then(function() {
+				return attempt(step, context);
+			});
+		}, when());
+	};
+
+
+
+	/**
+	 * Backbone.Router commander
+	 * Each instance owns its routes, controllers, guards and trigger cache
+	 *
+	 * @param {Object} options Options extended when the router is started
+	 */
+	var Router = function(options) {
+		/**
+		 * Which event aggregator to use for the triggers listed in each routes
+		 * By default it uses the global Marionette event aggregator but can be replaced by
+		 * any other Backbone.Events instance for example :
+		 *
+		 * var myEvents = {}
+		 * _.extend(myEvents, Backbone.Events);
+		 * Backbone.Router.dispatcher = myEvents;
+		 */
+		this.dispatcher = null;
+
+		/**
+		 * Store routes that were executed last
+		 */
+		this.currentRoutes = [];
+
+		/**
+		 * Router options, extended by the default options
+		 */
+		this.options = _.extend({}, defaultOptions, options);
+
+		/**
+		 * The logged in user given to the setAuthed method
+		 */
+		this.user = null;
+
+		// Namespace of the DOM events bound by the instance
+		this.cid = _.uniqueId("backboneRouter");
+
+		initState(this);
+	};
+
+
+	_.extend(Router.prototype, {
+
+		/**
+		 * Initialize the Backbone Marionette router
+		 */
+		"start": function(app, options) {
+			var self = this;
+
+			// Extend the instance options
+			this.options = _.extend({}, defaultOptions, this.options, options);
+
+			// Find an event dispatcher, unless one was already given
+			if (_.isNull(this.dispatcher) && _.isObject(app)) {
+				// Check if object is a marionette app and retrieve it
+				if (app.vent) {
+					this.dispatcher = app.vent;
+				}
+				// Or assume that it is a copy of Backbone.Events
+				else {
+					this.dispatcher = app;
+				}
+			} else if (_.isNull(this.dispatcher)) {
+				this.options.log("[Backbone.Router] Could not start router, missing dispatcher instance");
+				return false;
+			}
+
+			if (this._router) {
+				this.options.log("[Backbone.Router] Router already started");
+				return false;
+			}
+
+			this.options.log("[Backbone.Router.start] Starting router");
+
+			// Fail early when Backbone.$ can't provide the promises, such as on the server
+			getJQuery();
+
+			// Extend Backbone.Router
+			var ExtendedRouter = BackboneRouter.extend({
+				// Apply the route constraints to the path regexps
+				"_routeToRegExp": function(path) {
+					var name = self._routes[path];
+
+					return compilePath(path, self._extendedController[name] && self._extendedController[name].constraints);
+				},
+
+				// Bind the declared paths in the same order as Backbone.Router
+				// after a path catching the ones that no route matches so that Backbone.History tests it last
+				"_bindRoutes": function() {
+					var router = this;
+
+					// The first started instance sharing a Backbone.History handles the paths that no route matches,
+					// so that an instance started later, such as a widget, doesn't handle the paths of the page
+					if (!_.any(self._history.handlers, function(handler) {
+						return handler.route.notFound;
+					})) {
+						self._history.route({
+							// Ignore the paths matched by the routes of any router instance sharing Backbone.History
+							"test": function(fragment) {
+								return !_.any(self._history.handlers, function(handler) {
+									return !handler.route.notFound && handler.route.test(fragment);
+								});
+							},
+							"notFound": true
+						}, function() {
+							self.processNavigation(null, []);
+						});
+
+						self._notFoundHandler = self._history.handlers[0];
+					}
+
+					_.forEach(rankPaths(self, _.keys(self._routes)).reverse(), function(path) {
+						bindRoute(self, router, path);
+					});
+				}
+			});
+
+			// The routes are bound to the Backbone.History of the location adapter
+			this._location = createLocation(this);
+			this._history = this._location.history || Backbone.history;
+
+			// Initialize router
+			this._router = new ExtendedRouter();
+
+			checkRoutes(this);
+
+			// Delegate link clicks to the router
+			if (this.options.interceptLinks && window.document) {
+				Backbone.$(window.document).on("click." + this.cid, "a[href], [data-route]", function(event) {
+					self.processLinkClick(event, this);
+				});
+			}
+
+			if (_.isNull(this._defaultTitle) && window.document) {
+				this._defaultTitle = window.document.title;
+			}
+
+			// Handle the expiry of the user session
+			if (this.options.logoutOnUnauthorized && window.document) {
+				Backbone.$(window.document).on("ajaxError." + this.cid, function(event, xhr) {
+					if (xhr.status === 401 && self.options.authed) {
+						self.options.log("[Backbone.Router] Unauthorized request, logging out");
+						self.setAuthed(false);
+					}
+				});
+			}
+
+			// The router restores the scroll positions itself
+			if (this.options.scrollBehavior && window.history && "scrollRestoration" in window.history) {
+				window.history.scrollRestoration = "manual";
+			}
+
+			this._hydration = this.options.hydrate || null;
+
+			// Execute the current route, unless the url was already handled by another router instance
+			if (this._location.start()) {
+				if (this.exists({ "path": this._history.fragment })) {
+					// Check if a route was stored while requiring a user login
+					var storedRoute = this.getStoredRoute();
+
+					if (storedRoute) {
+						this.options.log("[Backbone.Router] Loaded stored route: " + storedRoute);
+
+						// Clear stored route
+						this.clearStore();
+						
+						// Redirect to stored route
+						this.go({ "path": storedRoute });
+					}
+				}
+			}
+		},
+
+
+		/**
+		 * Stop the router: its routes are removed from its Backbone.History and links are not intercepted anymore.
+		 * The routes declarations are kept so that the router can be started again.
+		 * Backbone.history is stopped when no other router instance uses it.
+		 */
+		"stop": function() {
+			if (!this._router) {
+				return;
+			}
+
+			this.options.log("[Backbone.Router.stop] Stopping router");
+
+			if (window.document) {
+				Backbone.$(window.document).off("click." + this.cid + " ajaxError." + this.cid);
+			}
+
+			// Remove the instance routes from Backbone.History
+			this._history.handlers = _.difference(this._history.handlers, _.values(this._handlers), [this._notFoundHandler]);
+
+			getLocation(this).stop();
+
+			this._router.off();
+			this._router = null;
+			this._history = Backbone.history;
+			this._handlers = {};
+			this._notFoundHandler = null;
+			this._currentRoute = null;
+			this._recheck = null;
+			this._background = null;
+			this.currentRoutes = [];
+		},
+
+
+		/**
+		 * Stop the router and forget its routes, guards, trigger cache, dispatcher and options
+		 */
+		"destroy": function() {
+			this.stop();
+
+			if (this._liveRegion) {
+				this._liveRegion.remove();
+			}
+
+			initState(this);
+
+			this.dispatcher = null;
+			this.user = null;
+			this.options = _.extend({}, defaultOptions);
+		},
+
+
+		/**
+		 * Map a list of routes.
+		 *
+		 * This method gets as the only parameter a function which will be executed in the router context,
+		 * therefore, any methods of the router can be called from 'this' inside that function.
+		 * Typically, only the 'route' method will be used.
+		 *
+		 * @param  {Function} routesDefiner A method that receives the router as context
+		 */
+		"map": function(routesDefiner) {
+			if (!_.isFunction(routesDefiner)) {
+				this.options.log("[Backbone.Router.map] Missing routes definer method as the first param");
+			} else {
+				routesDefiner.call(this);
+			}
+		},
+
+
+		/**
+		 * Declare a group of routes sharing a path prefix, a name namespace, the authed option, triggers and guards.
+		 *
+		 * The routes declared in the definer method inherit the group settings :
+		 *  - path: The prefix is prepended to the route paths
+		 *  - name (Optional): The namespace prepended to the route names, defaults to the prefix without slashes
+		 *  - authed (Optional): Applied to the routes that don't set it
+		 *  - before (Optional): Triggers executed before the route triggers
+		 *  - after (Optional): Triggers executed after the route triggers
+		 *  - guards (Optional): Guards executed before the route guards
+		 *  - constraints (Optional): Parameter constraints, extended by the route constraints
+		 *
+		 * For example, declaring a route named 'admin.users' with the path '/admin/users' :
+		 *
+		 * this.group("/admin", { "authed": true, "before": ["core:display"] }, function() {
+		 *   this.route("users", {
+		 *     "path": "/users",
+		 *     "action": function() {}
+		 *   });
+		 * });
+		 *
+		 * Groups can be nested, routes can also declare their children routes in a children object.
+		 *
+		 * @param  {String}   prefix        The path prefix
+		 * @param  {Object}   options       The group settings
+		 * @param  {Function} routesDefiner A method that receives the router as context
+		 */
+		"group": function(prefix, options, routesDefiner) {
+			var parent = _.last(this._groups) || { "name": "", "path": "", "before": [], "after": [], "guards": [], "constraints": {} },
+				name;
+
+			// The options are optional
+			if (_.isFunction(options)) {
+				routesDefiner = options;
+				options = {};
+			}
+
+			options = options || {};
+			prefix = prefix || "";
+
+			// Default namespace from the prefix
+			name = _.isUndefined(options.name) ? prefix.replace(/^\/+|\/+$/g, "").replace(/\//g, ".") : options.name;
+
+			this._groups.push({
+				"name": _.compact([parent.name, name]).join("."),
+				"path": joinPaths(parent.path, prefix),
+				"authed": _.isUndefined(options.authed) ? parent.authed : options.authed,
+				"before": parent.before.concat(options.before || []),
+				"after": [].concat(options.after || [], parent.after),
+				"guards": parent.guards.concat(options.guards || []),
+				"constraints": _.extend({}, parent.constraints, options.constraints)
+			});
+
+			try {
+				this.map(routesDefiner);
+			} finally {
+				this._groups.pop();
+			}
+		},
+
+
+		/**
+		 * Declare a route and its actions to the Router.
+		 * A route is composed of a unique name and an object definition of its actions.
+		 * The object can be composed in a few different ways, here is an example for a route named 'user_edit' :
+		 *
+		 * {
+		 *   "path": "/user/:id/edit",
+		 *   "before": [
+		 *     // Triggers to be executed before the action
+		 *   ],
+		 *   "action": function(userId) {
+		 *     // Custom display generation using the given userId
+		 *   }
+		 *   "after": [
+		 *     // Triggers to be executed after the action
+		 *   ]
+		 * }
+		 *
+		 * When the namedParams option is set, globally or on the route, the action receives a single object
+		 * with the parameters keyed by name and the parsed query string :
+		 *
+		 * {
+		 *   "path": "/user/:id(/:tab)",
+		 *   "namedParams": true,
+		 *   "action": function(params) {
+		 *     // '/user/42?page=2' gives { "id": "42", "tab": null, "query": { "page": "2" } }
+		 *   }
+		 * }
+		 *
+		 * Parameters can be constrained with a RegExp, a list of allowed values or a type name (int, number, uuid, slug).
+		 * A path which parameters don't match is handled by the next matching route or the 404 controller,
+		 * and the int and number values are coerced before reaching the action :
+		 *
+		 * {
+		 *   "path": "/user/:id/:tab",
+		 *   "constraints": {
+		 *     "id": "int",
+		 *     "tab": ["profile", "settings"]
+		 *   }
+		 * }
+		 *
+		 * When several paths match an url, the route with the highest priority is executed, default: 0.
+		 * Routes of a same priority are ranked by specificity, static segments before parameters before splats,
+		 * then by declaration order :
+		 *
+		 * {
+		 *   "path": "/user/*rest",
+		 *   "priority": 10
+		 * }
+		 *
+		 * The action can be the name of another route definition to create aliases like so :
+		 *
+		 * {
+		 *   "path": "/",
+		 *   "action": "user_login"
+		 * }
+		 *
+		 * A route can be limited to when a user is connected by setting the route.authed option to true.
+		 * For this to work the Backbone.Router.authed parameter has to be set to true when the server considers the user logged in.
+		 *
+		 * {
+		 *   "path": "/admin",
+		 *   "authed": true,
+		 *   "action": function() {
+		 *     // Render admin template
+		 *   }
+		 * }
+		 *
+		 *
+		 * Guards can be applied to a route to allow, deny or redirect its execution.
+		 * A guard is a function or the name of a guard registered with the guard method,
+		 * or an object with a name and a list of arguments that are appended to the guard arguments.
+		 *
+		 * {
+		 *   "path": "/admin/users",
+		 *   "guards": ["admin", { "name": "feature", "args": ["users"] }],
+		 *   "action": function() {
+		 *     // Render users list
+		 *   }
+		 * }
+		 *
+		 * A route can redirect to another one, replacing the current url, for example to keep supporting legacy urls.
+		 * The parameters are passed by name, or mapped by a function returning the target route name and params :
+		 *
+		 * {
+		 *   "path": "/profile/:userId",
+		 *   "redirect": function(params) {
+		 *     return { "name": "user_show", "params": { "id": params.userId } };
+		 *   }
+		 * }
+		 *
+		 * Children routes can be declared in a children object, they inherit the route path, name, authed option,
+		 * triggers and guards the same way as the routes declared in a group :
+		 *
+		 * {
+		 *   "path": "/admin",
+		 *   "authed": true,
+		 *   "children": {
+		 *     // Route named 'admin.users' with the path '/admin/users'
+		 *     "users": {
+		 *       "path": "/users",
+		 *       "action": function() {}
+		 *     }
+		 *   }
+		 * }
+		 *
+		 * Data can be resolved before the action is executed, the resolvers are executed in parallel
+		 * and the action receives the resolved data keyed by name as an extra argument, after the query string.
+		 * When a resolver fails, the errorRoute of the route is executed, default: options.errorRoute :
+		 *
+		 * {
+		 *   "path": "/users/:id",
+		 *   "resolve": {
+		 *     "user": function(params) {
+		 *       return new User({ "id": params.id }).fetch();
+		 *     }
+		 *   },
+		 *   "errorRoute": "404",
+		 *   "action": function(userId, query, data) {
+		 *     // Render data.user
+		 *   }
+		 * }
+		 *
+		 * The document title and meta tags can be declared as underscore templates receiving the route parameters,
+		 * or as methods receiving the route parameters and resolved data :
+		 *
+		 * {
+		 *   "path": "/user/:id",
+		 *   "title": "User <%= id %>",
+		 *   "meta": {
+		 *     "description": "Profile of the user <%= id %>"
+		 *   }
+		 * }
+		 *
+		 * The scrollBehavior and focus options of the router can be overridden by the route definition.
+		 *
+		 * A modal route is displayed over the current page, which is neither closed nor executed again.
+		 * Going back to the url of the page closes the modal route. When the url of a modal route is opened directly,
+		 * its background route, a route name or a function receiving the route parameters and returning
+		 * a route name and params, is executed first :
+		 *
+		 * {
+		 *   "path": "/photos/:id",
+		 *   "modal": true,
+		 *   "background": "users_list",
+		 *   "action": function(id) {
+		 *     // Render the photo dialog
+		 *   }
+		 * }
+		 *
+		 * The action, triggers, guards and children of a route can be loaded on its first visit with a load method
+		 * returning the route module or a promise of it, or with the id of an AMD module.
+		 * The module is either a route definition or the action method :
+		 *
+		 * {
+		 *   "path": "/admin",
+		 *   "load": function() {
+		 *     return import("./admin.js");
+		 *   }
+		 * }
+		 *
+		 * A trigger can be declared in different ways.
+		 * It can be a string which will be passed to the router dispatcher.
+		 * Else, it can be an object so that static arguments can be passed to the trigger.
+		 * 
+		 * Trigger object parameters :
+		 *  - name (String): The trigger name
+		 *  - args (Array, Optional): Arguments that will be mapped onto the trigger event listener, default: []
+		 *  - cache (Boolean|String, Optional): Will only permit the execution of the trigger once per name and arguments,
+		 *    "route" forgets it when leaving the route or its group, true or "session" keeps it
+		 *  - ttl (Number, Optional): Milliseconds after which a cached trigger is executed again
+		 *  - async (Boolean, Optional): The event listener receives a jQuery Deferred as its last argument,
+		 *    the route waits until it is resolved or rejected
+		 *
+		 * A trigger can also be a function, if it returns a promise the route waits for it.
+		 * The same goes for the action and for routes used as triggers.
+		 * When a trigger or an action fails, the route is aborted and the options.errorRoute route is executed.
+		 *
+		 * For example :
+		 *
+		 * {
+		 *   "name": "trigger:name",
+		 *   "args": [
+		 *     // List of arguments mapped onto the called trigger event listener
+		 *   ]
+		 * }
+		 *
+		 * @param  {String} name The name of the route, needs to be unique (i.e. 'user_add')
+		 * @param  {Object} def  The route definition object
+		 */
+		"route": function(name, def) {
+			var self = this,
+				routesExtension = {},
+				currentName = name;
+
+			// @todo Probably throw an exception here. If def is an empty object, nothing will work
+			if (!_.isObject(def)) {
+				def = {};
+			}
+
+			// Declare the children routes in a group inheriting this route settings
+			if (_.isObject(def.children)) {
+				declareChildren(this, name, def, def.children);
+			}
+
+			// Apply the settings of the enclosing groups
+			if (self._groups.length) {
+				var group = _.last(self._groups);
+
+				name = currentName = _.compact([group.name, name]).join(".");
+
+				def = _.extend({}, def, {
+					"path": _.isString(def.path) ? joinPaths(group.path, def.path) : def.path,
+					"authed": _.isUndefined(def.authed) ? group.authed : def.authed,
+					"before": group.before.concat(def.before || []),
+					"after": [].concat(def.after || [], group.after),
+					"guards": group.guards.concat(def.guards || []),
+					"constraints": _.extend({}, group.constraints, def.constraints)
+				});
+			}
+
+			// Remove the first slash in the path for the Backbone router
+			if (def.path && def.path.charAt(0) == "/") {
+				def.path = def.path.substring(1);
+			}
+
+			self._declarations.push({ "name": currentName, "path": def.path });
+
+			// Check if a controller has already registered this path
+			if (self._routes[def.path]) {
+				// If so, retrieve it's name
+				name = self._routes[def.path];
+			} else {
+				// Create a placeholder for multiple route names
+				self._extendedRoutes[def.path] = [];
+
+				// Create a placeholder for the route controllers
+				self._extendedController[name] = controllerEntry(def);
+
+				// Register the route path and controller name if a path is given
+				if (_.isString(def.path)) {
+					routesExtension[def.path] = name;
+
+					// Apply the new routes
+					_.extend(self._routes, routesExtension);
+				}
+			}
+
+			// Store the close controller
+			if (def.close) {
+				self._closeControllers[currentName] = def.close;
+			}
+
+			// Execute the alias, triggers and action of the route
+			var processRoute = function(args, trigger) {
+				// Check if the route is an alias
+				if (_.isString(def.action)) {
+					self.options.log("[Backbone.Router] Caught alias route: '" + currentName + "' >> '" + def.action + "'");
+
+					// Execute alias route
+					return self.processControllers(def.action, args, true);
+				} else {
+					self.options.log("[Backbone.Router] Executing route named '" + currentName + "'");
+				}
+
+				var navigationId = self._navigationId,
+					params = _.isString(def.path) ? extractParams(def.path, args) : {},
+					data = {},
+					stale = false;
+
+				// Stop executing the route once another navigation started, so that it doesn't render over the new one
+				var cancelled = function() {
+					if (!stale && navigationId !== self._navigationId) {
+						self.options.log("[Backbone.Router] Cancelling route '" + currentName + "', another navigation started");
+						stale = true;
+					}
+
+					return stale;
+				};
+
+				// Each step waits for the promise returned by the previous one
+				return sequence([
+					// Process pre-triggers
+					function() {
+						if (!_.isEmpty(def.before)) {
+							return self.processTriggers(def.before);
+						}
+					},
+
+					// Resolve the route data, passed to the action as an extra argument
+					function() {
+						if (_.isEmpty(def.resolve)) {
+							return;
+						}
+
+						// Use the data resolved on the server for the first route
+						var hydration = self._hydration;
+
+						if (!trigger && hydration && hydration.name === currentName && hydration.path === self._history.fragment) {
+							self._hydration = null;
+							data = hydration.data || {};
+							args = appendData(def.path, args, data);
+							return;
+						}
+
+						return self.processResolvers(def.resolve, params).then(function(resolved) {
+							// Drop the data if another navigation started meanwhile
+							if (cancelled()) {
+								return;
+							}
+
+							data = resolved;
+							args = appendData(def.path, args, data);
+						});
+					},
+
+					// Execute route main action
+					function() {
+						if (!cancelled() && _.isFunction(def.action)) {
+							return def.action.apply(self, args);
+						}
+					},
+
+					// Set the document title and meta tags, unless the route is used as a trigger
+					function() {
+						if (!cancelled() && !trigger) {
+							self.processTitle(def, params, data);
+						}
+					},
+
+					// Process post-triggers
+					function() {
+						if (!cancelled() && !_.isEmpty(def.after)) {
+							return self.processTriggers(def.after);
+						}
+					}
+				]).then(function() {
+					// A cancelled route resolves with false
+					return !stale;
+				});
+			};
+
+			// Load the route module and apply it to the route definition, once
+			var loading = null;
+
+			var loadRoute = function() {
+				if (loading) {
+					return loading;
+				}
+
+				self.options.log("[Backbone.Router] Loading route '" + currentName + "'");
+				self.dispatch("route:loading", { "name": currentName });
+
+				var promise = loadModule(def.load).then(function(module) {
+					return attempt(applyModule, null, [module]);
+				});
+
+				loading = promise;
+
+				// Retry on the next visit when the module failed to load
+				promise.fail(function() {
+					loading = null;
+				});
+
+				return promise;
+			};
+
+			var applyModule = function(module) {
+				// A module exporting a method only gives the route action
+				module = _.isFunction(module) ? { "action": module } : (module || {});
+
+				def = _.extend({}, def, _.omit(module, "path", "constraints", "children", "load"), {
+					"before": [].concat(def.before || [], module.before || []),
+					"after": [].concat(module.after || [], def.after || []),
+					"guards": [].concat(def.guards || [], module.guards || []),
+					"load": null
+				});
+
+				if (def.close) {
+					self._closeControllers[currentName] = def.close;
+				}
+
+				if (self._extendedController[currentName]) {
+					self._extendedController[currentName].definition = def;
+				}
+
+				// Declare the children routes of the module
+				if (_.isObject(module.children)) {
+					declareChildren(self, currentName, def, module.children);
+				}
+
+				self.dispatch("route:loaded", { "name": currentName });
+			};
+
+			// Redirect to another route, mapping the parameters
+			var redirectRoute = function(args, navigationId) {
+				var params = _.isString(def.path) ? extractParams(def.path, args) : {};
+
+				return attempt(function() {
+					return _.isFunction(def.redirect) ? def.redirect.call(self, params) : { "name": def.redirect, "params": params };
+				}).then(function(target) {
+					if (navigationId === self._navigationId) {
+						self.processRedirect(currentName, target);
+					}
+
+					return false;
+				});
+			};
+
+			// Execute a route which guards allowed it
+			var executeRoute = function(args, trigger) {
+				// Store the current route name if it is not a trigger
+				if (!trigger) {
+					self.currentRoutes.push(currentName);
+					self._currentRoute = self.routeState(currentName, args, self._history.fragment);
+					self._recheck = function() {
+						return self.processGuards(currentName, args, def, false);
+					};
+				}
+
+				return processRoute(args, trigger);
+			};
+
+			var controllerWrapper = function(args, trigger) {
+				var navigationId = self._navigationId,
+					lazy = !!def.load,
+					guards = def.guards || [],
+					authed = def.authed;
+
+				// Coerce the arguments to the types of the constraints
+				if (_.isString(def.path) && def.constraints) {
+					args = coerceParams(def.path, def.constraints, args);
+				}
+
+				// Convert the positional arguments into a parameters object
+				if (_.isString(def.path) && (_.isUndefined(def.namedParams) ? self.options.namedParams : def.namedParams)) {
+					args = [extractParams(def.path, args)];
+				}
+
+				if (def.redirect && !trigger) {
+					return redirectRoute(args, navigationId);
+				}
+
+				// Check the route guards before executing anything, before loading the module of a lazy-loaded route
+				return self.processGuards(currentName, args, def, trigger).then(function(allowed) {
+					if (!allowed || navigationId !== self._navigationId) {
+						return false;
+					}
+
+					if (!lazy) {
+						return executeRoute(args, trigger);
+					}
+
+					// Load the route module on the first visit, unless another navigation started meanwhile
+					return loadRoute().then(function() {
+						if (navigationId !== self._navigationId) {
+							return false;
+						}
+
+						if (def.redirect && !trigger) {
+							return redirectRoute(args, navigationId);
+						}
+
+						// Check the guards added by the module
+						var added = _.difference(def.guards || [], guards).concat(def.authed === authed ? [] : ["authed"]);
+
+						return self.processGuards(currentName, args, def, trigger, added).then(function(allowed) {
+							return allowed && navigationId === self._navigationId ? executeRoute(args, trigger) : false;
+						});
+					});
+				});
+			};
+
+			// Push the new controller name to the route name's list
+			self._extendedRoutes[def.path].push(currentName);
+
+			// Push the new controller to the given route controllers list
+			self._extendedController[name].wrappers.push(controllerWrapper);
+
+			// Re-push the controller with the current route name in case it overloads an existing path
+			// This is to permit the go method to work on controllers defined with a same path
+			if (name !== currentName) {
+				// Create a placeholder for the route controllers
+				// Adding the new controller to the given route controllers list
+				self._extendedController[currentName] = controllerEntry(def, loadRoute, controllerWrapper);
+			} else {
+				self._extendedController[name].wrapper = controllerWrapper;
+				self._extendedController[name].definition = def;
+				self._extendedController[name].load = loadRoute;
+
+				// Bind the new path if the router is already started
+				if (this._router && _.isString(def.path)) {
+					bindRoute(this, this._router, def.path);
+					sortHandlers(this);
+				}
+			}
+		},
 
 
 		/**
-		 * Map a list of routes.
-		 *
-		 * This method gets as the only parameter a function which will be executed in the router context,
-		 * therefore, any methods of the router can be called from 'this' inside that function.
-		 * Typically, only the 'route' method will be used.
+		 * Remove a route declaration.
+		 * If other routes share its path, they keep responding to it, else the path is removed from Backbone.History.
+		 * The children routes of a route are not removed.
 		 *
-		 * @param  {Function} routesDefiner A method that receives the router as context
+		 * @param  {String}  name The route name
+		 * @return {Boolean}      False if the route doesn't exist
 		 */
-		"map": function(routesDefiner) {
-			if (!_.isFunction(routesDefiner)) {
-				this.options.log("[Backbone.Router.map] Missing routes definer method as the first param");
+		"unroute": function(name) {
+			var entry = this._extendedController[name];
+
+			if (!entry) {
+				this.options.log("[Backbone.Router.unroute] Inexisting route name: " + name);
+				return false;
+			}
+
+			var path = entry.path,
+				names = _.without(this._extendedRoutes[path] || [], name),
+				primary = _.isString(path) && this._routes[path] === name;
+
+			delete this._extendedController[name];
+			delete this._closeControllers[name];
+			this._extendedRoutes[path] = names;
+			this._declarations = _.reject(this._declarations, function(declaration) {
+				return declaration.name === name;
+			});
+
+			if (!primary) {
+				// Remove the controller from the list of the route owning the path
+				if (_.isString(path) && this._extendedController[this._routes[path]]) {
+					this._extendedController[this._routes[path]].wrappers = _.without(
+						this._extendedController[this._routes[path]].wrappers, entry.wrapper);
+				}
+			} else if (!_.isEmpty(names)) {
+				// Hand the path over to the next route sharing it
+				this._routes[path] = names[0];
+				this._extendedController[names[0]] = _.extend(this._extendedController[names[0]], {
+					"re": entry.re,
+					"constraints": entry.constraints,
+					"wrappers": _.without(entry.wrappers, entry.wrapper)
+				});
 			} else {
-				routesDefiner.call(this);
+				delete this._routes[path];
+				delete this._extendedRoutes[path];
+
+				// Remove the path from Backbone.History
+				if (this._handlers[path]) {
+					this._history.handlers = _.without(this._history.handlers, this._handlers[path]);
+					delete this._handlers[path];
+				}
 			}
+
+			this.currentRoutes = _.without(this.currentRoutes, name);
+
+			return true;
 		},
 
 
 		/**
-		 * Declare a route and its actions to the Router.
-		 * A route is composed of a unique name and an object definition of its actions.
-		 * The object can be composed in a few different ways, here is an example for a route named 'user_edit' :
+		 * Replace the declaration of a route, the router can already be started
 		 *
-		 * {
-		 *   "path": "/user/:id/edit",
-		 *   "before": [
-		 *     // Triggers to be executed before the action
-		 *   ],
-		 *   "action": function(userId) {
-		 *     // Custom display generation using the given userId
-		 *   }
-		 *   "after": [
-		 *     // Triggers to be executed after the action
-		 *   ]
-		 * }
+		 * @param  {String} name The route name
+		 * @param  {Object} def  The new route definition object
+		 */
+		"replaceRoute": function(name, def) {
+			this.unroute(name);
+			this.route(name, def);
+		},
+
+
+		/**
+		 * Register a named guard that routes can refer to in their guards list.
 		 *
-		 * The action can be the name of another route definition to create aliases like so :
+		 * The guard is executed in the router context and receives the target route name, its parameters keyed by name,
+		 * the name of the current route, the target route definition and the arguments of the guard declaration.
+		 * It returns, or resolves a promise with :
+		 *  - true to allow the route
+		 *  - false (or any falsy value) to deny the route and execute the 403 controller
+		 *  - a route name or an object with a name and args, or a path, to redirect to another route
 		 *
-		 * {
-		 *   "path": "/",
-		 *   "action": "user_login"
-		 * }
+		 * For example :
 		 *
-		 * A route can be limited to when a user is connected by setting the route.authed option to true.
-		 * For this to work the Backbone.Router.authed parameter has to be set to true when the server considers the user logged in.
+		 * this.guard("role", function(name, params, from, def, role) {
+		 *   return App.user.hasRole(role) || "login";
+		 * });
 		 *
-		 * {
-		 *   "path": "/admin",
-		 *   "authed": true,
-		 *   "action": function() {
-		 *     // Render admin template
-		 *   }
-		 * }
+		 * @param  {String}   name     The guard name
+		 * @param  {Function} callback The guard method
+		 */
+		"guard": function(name, callback) {
+			if (!_.isFunction(callback)) {
+				this.options.log("[Backbone.Router.guard] Missing guard method for '" + name + "'");
+				return;
+			}
+
+			this._guards[name] = callback;
+		},
+
+
+		/**
+		 * Route the application to a specific named route, or move in the history when a number of steps is given
+		 *
+		 * @param  {Mixed} name  Route name, or a number of steps to move back (negative) or forward in the history
+		 * @param  {Mixed} args  List of arguments to pass along, or an object keyed by parameter name
+		 * @return {Boolean}     Will return false if the routing was cancelled, else true.
+		 *                       When a close controller returns a promise, true is returned and the routing
+		 *                       happens once it is resolved, a navigate:cancel event is emitted if it is cancelled.
+		 */
+		"go": function(name, args, options) {
+			var route = null,
+				path = null;
+
+			// Move in the history, the routes are executed once the url changed
+			if (_.isNumber(name)) {
+				return getLocation(this).traverse(name) !== false;
+			}
+
+			// Check if an object is given instead of a string
+			if (_.isObject(name)) {
+				// Rename object
+				route = name;
+
+				// Transfer route name
+				name = route.name;
+
+				// Transfer route path and remove first slash
+				path = _.isString(route.path) && route.path.charAt(0) == "/" ? route.path.substring(1) : route.path;
+
+				// Transfer args
+				args = route.args || args;
+			}
+
+			if (!name && !_.isString(path)) {
+				this.options.log("[Backbone.Router.go] Missing parameters, name or path is necessary");
+				return false;
+			}
+
+			// Check if route exists
+			if ((name && !this.exists({ "name": name })) || (_.isString(path) && !this.exists({ "path": path }))) {
+				// Execute 404 controller with the requested path or name
+				this.processNotFound(_.isString(path) ? path : null, name);
+			} else {
+				var self = this,
+					result = true;
+
+				if (!_.isString(path)) {
+					// Retrieve route path
+					path = this.path(name);
+
+					// Inject route arguments
+					if (path !== false) {
+						path = this.parse(path, args);
+					}
+				}
+
+				if (path === false) {
+					return false;
+				}
+
+				// Check the close controllers of the current routes before changing the url
+				this.processLeave(name, args, options, path).done(function(allowed) {
+					result = allowed;
+
+					// If a controller returned false, cancel go process
+					if (!allowed) {
+						self.dispatch("navigate:cancel", {
+							"from": self._currentRoute,
+							"to": self.routeState(name || self._routes[path], args, path)
+						});
+
+						return;
+					}
+
+					// Re-initialize currentRoutes storage, the page under a modal route stays active
+					if (!modalTransition(self, name, path)) {
+						self.currentRoutes = [];
+					}
+
+					// Extend default router navigate options
+					options = _.extend({ "trigger": true, "replace": false }, options);
+
+					// Keep the redirect chain when the navigation is a redirect
+					self._redirects = options.redirects || [];
+
+					// Navigate the Backbone.Router, the close controllers don't need to be checked again
+					self._skipLeave = true;
+
+					try {
+						getLocation(self).navigate(path, options);
+					} finally {
+						self._skipLeave = false;
+					}
+				});
+
+				return result;
+			}
+		},
+
+
+		/**
+		 * Go back to the previous url of the history
 		 *
+		 * @return {Boolean} False if there is no previous url in memory history mode, else true
+		 */
+		"back": function() {
+			return this.go(-1);
+		},
+
+
+		/**
+		 * Go forward to the next url of the history
 		 *
-		 * A trigger can be declared in different ways.
-		 * It can be a string which will be passed to the router dispatcher.
-		 * Else, it can be an object so that static arguments can be passed to the trigger.
-		 * 
-		 * Trigger object parameters :
-		 *  - name (String): The trigger name
-		 *  - args (Array, Optional): Arguments that will be mapped onto the trigger event listener, default: []
-		 *  - cache (Boolean, Optional): Will only permit the execution of the trigger once
+		 * @return {Boolean} False if there is no next url in memory history mode, else true
+		 */
+		"forward": function() {
+			return this.go(1);
+		},
+
+
+		/**
+		 * Process a navigation handled by Backbone.History, either from the go method or from the browser
+		 * history (back and forward buttons, typed url, link click).
+		 * The close controllers of the current routes are checked first, the previous url being restored when they cancel it.
+		 * Modal routes are displayed over the current page, which is kept active until a regular route is displayed.
 		 *
-		 * For example :
+		 * @param  {String} name The matched route name, null if no route matches the path
+		 * @param  {Array}  args The route arguments given by Backbone.Router
+		 */
+		"processNavigation": function(name, args) {
+			var self = this,
+				fragment = self._history.fragment,
+				traversal = self._traversal && !self._skipLeave,
+				transition = modalTransition(this, name, fragment),
+				adapter = getLocation(this),
+				entry = adapter.entry ? adapter.entry() : fragment,
+				navigation = {
+					"from": self._currentRoute,
+					"to": name ? this.routeState(name, args, fragment) : { "name": null, "params": {}, "path": fragment }
+				};
+
+			self._traversal = false;
+
+			// A navigation from the browser history starts a new redirect chain
+			if (!self._skipLeave) {
+				self._redirects = [];
+			}
+
+			var leave = self._skipLeave ? when(true) : this.processLeave(name, args, {}, fragment);
+
+			leave.done(function(allowed) {
+				if (!allowed) {
+					self.options.log("[Backbone.Router] Navigation to '" + fragment + "' cancelled, restoring previous url");
+
+					// Restore the url of the current route
+					getLocation(self).navigate(self._currentRoute ? self._currentRoute.path : "", { "trigger": false });
+
+					self.dispatch("navigate:cancel", navigation);
+					return;
+				}
+
+				// Save the scroll position of the history entry being left
+				if (navigation.from && window.document) {
+					self._scrollPositions[self._entry] = { "x": window.pageXOffset, "y": window.pageYOffset };
+				}
+
+				self._entry = entry;
+
+				if (transition === "open" || transition === "close") {
+					self.processModal(name, args, navigation, transition);
+					return;
+				}
+
+				// Re-initialize currentRoutes storage
+				self.currentRoutes = [];
+
+				if (self._background) {
+					restoreBackground(self);
+				}
+
+				var navigationId = ++self._navigationId;
+
+				// Forget the title and meta tags of the previous route
+				self.restoreTitle();
+
+				// Forget the triggers cached for a route when leaving its group
+				self._cachedTriggers = _.reject(self._cachedTriggers, function(cache) {
+					return cache.scope === "route" && cache.route && !inRouteScope(cache.route, name);
+				});
+
+				if (!name) {
+					self.processNotFound(fragment);
+					self.processPageChange(null, navigation, traversal);
+					return;
+				}
+
+				self.dispatch("navigate:start", navigation);
+
+				var controllers = transition === "deeplink" ?
+					self.processBackground(name, args, navigationId) : self.processControllers(name, args);
+
+				// A denied or redirected route is taken over by the 403 controller or the redirect target
+				controllers.done(function(executed) {
+					if (executed && navigationId === self._navigationId) {
+						self.processPageChange(name, navigation, traversal);
+						self.dispatch("navigate:end", navigation);
+					}
+				}).fail(function(error) {
+					// Ignore the failures of a navigation replaced by another one
+					if (navigationId === self._navigationId) {
+						self.processError(name, error, navigation);
+					}
+				});
+			});
+		},
+
+
+		/**
+		 * Open a modal route over the current page, or close the modal routes to go back to the page under them.
+		 * The page routes are neither left nor executed again, the scroll position and focus are left unchanged.
+		 *
+		 * @param  {String} name       The name of the route about to be displayed
+		 * @param  {Array}  args       The route arguments
+		 * @param  {Object} navigation The from and to states of the navigation
+		 * @param  {String} transition "open" or "close"
+		 */
+		"processModal": function(name, args, navigation, transition) {
+			var self = this,
+				navigationId = ++this._navigationId;
+
+			this.dispatch("navigate:start", navigation);
+
+			// Close the open modal route
+			if (this._background) {
+				this.currentRoutes = this._background.routes.slice();
+				this._currentRoute = this._background.route;
+				this._recheck = this._background.recheck;
+
+				restoreBackground(this);
+			}
+
+			if (transition === "close") {
+				this.dispatch("navigate:end", navigation);
+				return;
+			}
+
+			// Keep the page state, the title and meta tags of the modal route are restored when it is closed
+			saveBackground(this, this._currentRoute);
+
+			this.processControllers(name, args).done(function(executed) {
+				if (executed && navigationId === self._navigationId) {
+					self.dispatch("navigate:end", navigation);
+				}
+			}).fail(function(error) {
+				if (navigationId === self._navigationId) {
+					self.processError(name, error, navigation);
+				}
+			});
+		},
+
+
+		/**
+		 * Execute the background route of a modal route opened directly, then the modal route over it
+		 *
+		 * @param  {String}  name         The name of the modal route
+		 * @param  {Array}   args         The route arguments
+		 * @param  {Number}  navigationId The id of the navigation, the modal route is dropped if another one started
+		 * @return {Promise}              Resolved when the modal route is done, rejected on the first failure
+		 */
+		"processBackground": function(name, args, navigationId) {
+			var self = this,
+				background = this._extendedController[name].definition.background,
+				params = this.routeState(name, args, null).params;
+
+			return attempt(function() {
+				return _.isFunction(background) ? background.call(self, params) : { "name": background };
+			}).then(function(target) {
+				target = _.isString(target) ? { "name": target } : target;
+
+				var path = self.path(target.name),
+					matched = path === false ? null : matchPath(self, self.parse(path, target.params || []));
+
+				if (!matched) {
+					return getJQuery().Deferred().reject(new Error("[Backbone.Router] Inexisting background route: " + target.name)).promise();
+				}
+
+				return self.processControllers(matched.name, matched.args).then(function(allowed) {
+					// The background route was denied, redirected or replaced by another navigation
+					if (allowed === false || navigationId !== self._navigationId) {
+						return false;
+					}
+
+					saveBackground(self, self.routeState(matched.name, matched.args, matched.path));
+
+					return self.processControllers(name, args);
+				});
+			});
+		},
+
+
+		/**
+		 * Execute the close controllers of the current routes one after the other.
+		 * A close controller can return a promise, the first one returning or resolving a falsy value,
+		 * or being rejected, cancels the navigation.
 		 *
-		 * {
-		 *   "name": "trigger:name",
-		 *   "args": [
-		 *     // List of arguments mapped onto the called trigger event listener
-		 *   ]
-		 * }
+		 * The page under a modal route is not left when opening or closing the modal route.
 		 *
-		 * @param  {String} name The name of the route, needs to be unique (i.e. 'user_add')
-		 * @param  {Object} def  The route definition object
+		 * @param  {String}  name    The name of the route about to be executed
+		 * @param  {Mixed}   args    The arguments of the route about to be executed
+		 * @param  {Object}  options The navigation options
+		 * @param  {String}  path    The path about to be displayed
+		 * @return {Promise}         Resolved with true if the current routes can be left
 		 */
-		"route": function(name, def) {
+		"processLeave": function(name, args, options, path) {
 			var self = this,
-				routesExtension = {},
-				controllerExtension = {},
-				currentName = name;
+				transition = modalTransition(this, name, path),
+				routes = this.currentRoutes;
 
-			// @todo Probably throw an exception here. If def is an empty object, nothing will work
-			if (!_.isObject(def)) {
-				def = {};
+			if (transition === "open" || transition === "close") {
+				routes = this._background ? _.difference(routes, this._background.routes) : [];
 			}
 
-			// Remove the first slash in the path for the Backbone router
-			if (def.path && def.path.charAt(0) == "/") {
-				def.path = def.path.substring(1);
-			}
+			return _.reduce(routes, function(promise, route) {
+				return promise.then(function(allowed) {
+					// Check if the previous route has a close controller
+					if (!allowed || !_.isFunction(self._closeControllers[route]) || name === route) {
+						return allowed;
+					}
 
-			// Check if a controller has already registered this path
-			if (routes[def.path]) {
-				// If so, retrieve it's name
-				name = routes[def.path];
-			} else {
-				// Create a placeholder for multiple route names
-				extendedRoutes[def.path] = [];
+					// Execute close controller passing current route data and retrieve result
+					return attempt(self._closeControllers[route], self, [name, args, options]).then(function(result) {
+						return !!result;
+					}, function(error) {
+						self.options.log("[Backbone.Router] Close controller of '" + route + "' failed", error);
+						return false;
+					});
+				});
+			}, when(true));
+		},
 
-				// Create a placeholder for the route controllers
-				extendedController[name] = {
-					"re": null,
-					"wrappers": []
-				};
 
-				// Register the route path and controller name if a path is given
-				if (_.isString(def.path)) {
-					routesExtension[def.path] = name;
+		/**
+		 * Handle a click on a link or an element with a data-route attribute when the interceptLinks option is set.
+		 *
+		 * Elements with a data-route attribute navigate to the named route, passing the JSON data-args attribute as arguments.
+		 * In pushState mode, same-origin links within the root url navigate to their path.
+		 * The default behavior is only prevented when a route matches, and clicks with a modifier key or a middle button,
+		 * links with a target or a download attribute are left to the browser.
+		 *
+		 * @param  {Event}       event   The jQuery click event
+		 * @param  {HTMLElement} element The clicked link or element
+		 */
+		"processLinkClick": function(event, element) {
+			var $element = Backbone.$(element),
+				name = $element.attr("data-route"),
+				target = $element.attr("target");
 
-					// Apply the new routes
-					_.extend(routes, routesExtension);
+			if (event.isDefaultPrevented() || event.which > 1 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+				return;
+			}
+
+			if ((target && target !== "_self") || $element.is("[download]")) {
+				return;
+			}
+
+			// Named route
+			if (name) {
+				if (this.exists({ "name": name })) {
+					event.preventDefault();
+					this.go(name, $element.data("args"));
 				}
+				return;
+			}
 
-				// Create a wrapping controller method to permit for multiple route/controller bindings
-				controllerExtension[name] = function() {
-					self.processControllers(name, arguments);
-				};
+			// Same page anchors and links in hash mode are handled by the browser
+			if (!this.options.pushState || ($element.attr("href") || "").charAt(0) == "#") {
+				return;
+			}
 
-				// Apply the new controllers
-				_.extend(controller, controllerExtension);
+			// External hosts
+			if (element.protocol !== window.location.protocol || element.host !== window.location.host) {
+				return;
 			}
 
-			// Store the close controller
-			if (def.close) {
-				closeControllers[currentName] = def.close;
+			var root = ("/" + this.options.root + "/").replace(/^\/+|\/+$/g, "/"),
+				pathname = element.pathname.charAt(0) == "/" ? element.pathname : "/" + element.pathname;
+
+			// Links outside of the root url
+			if ((pathname + "/").indexOf(root) !== 0) {
+				return;
 			}
 
-			var controllerWrapper = function(args, trigger) {
-				// Store the current route name if it is not a trigger
-				if (!trigger) {
-					self.currentRoutes.push(currentName);
-				}
+			var path = pathname.substring(root.length) + element.search;
 
-				// Check if the route should be ignored based on the user being logged in or not
-				// and the route.authed option being set to true or false
-				if (!_.isUndefined(def.authed) && ((def.authed && !self.options.authed) || (!def.authed && self.options.authed))) {
-					// Redirect user to login route if defined, else try to execute 403 controller
-					if (self.options.redirectToLogin && !self.options.authed) {
-						self.options.log("[Backbone.Router] Secured page, redirecting to login");
+			if (this.exists({ "path": path })) {
+				event.preventDefault();
+				this.go({ "path": path });
+			}
+		},
 
-						// Store current route in case login reloads the page
-						self.storeCurrentRoute();
 
-						// Redirect to login
-						self.processControllers("login");
-					} else {
-						self.options.log("[Backbone.Router] Skipping route '" + currentName +
-							"', " + (self.options.authed ? "" : "not ") + "logged in");
+		/**
+		 * Process a list of triggers that can be declared as a simple string or an object
+		 * Triggers are executed in order, each one waiting for the previous one to be resolved
+		 * 
+		 * @param  {Array}   triggers The list of triggers to process
+		 * @return {Promise}          Resolved when every trigger is done, rejected on the first failure
+		 */
+		"processTriggers": function(triggers) {
+			var self = this;
+
+			if (_.isArray(triggers)) {
+				return sequence(_.map(triggers, function(trigger) {
+					return function() {
+						return self.processTrigger(trigger);
+					};
+				}));
+			} else if (_.isString(triggers) || _.isObject(triggers)) {
+				return attempt(this.processTrigger, this, [triggers]);
+			} else {
+				this.options.log("[Backbone.Router.processTriggers] Bad triggers format, needs to be a string," +
+					" an object, an array of strings or an array of objects");
+				return when();
+			}
+		},
+
+
+		/**
+		 * Process a single trigger
+		 * 
+		 * @param  {Mixed}   trigger String, Object or Function describing the trigger
+		 * @return {Mixed}           A promise when the trigger is asynchronous
+		 */
+		"processTrigger": function(trigger) {
+			var self = this;
+
+			if (_.isFunction(trigger)) {
+				return trigger.call(this);
+			} else if (_.isObject(trigger)) {
+				// Create a dispatcher format object
+				var args = [trigger.name],
+					cache = null;
 
-						// Execute 403 controller
-						this.processControllers("403", [self.options.pushState ?
-							window.location.pathname.substring(1) : window.location.hash.substring(1)]);
+				// Check if the trigger is marked for caching
+				if (trigger.cache) {
+					// Find cached trigger object
+					cache = this.findCachedTrigger(trigger);
+
+					// Has it already been executed ?
+					if (cache.done) {
+						this.options.log("[Backbone.Router] Trigger '" + trigger.name + "' has been skipped (cached)");
+						return cache.result;
 					}
-					return false;
-				}
 
-				// Check if the route is an alias
-				if (_.isString(def.action)) {
-					self.options.log("[Backbone.Router] Caught alias route: '" + currentName + "' >> '" + def.action + "'");
+					// Mark it done
+					cache.done = true;
+					cache.expires = trigger.ttl ? _.now() + trigger.ttl : null;
+				}
 
-					// Execute alias route
-					self.processControllers(def.action, args, true);
+				var result;
 
-					return false;
+				// Check if the trigger is actually a declared route
+				if (this.exists({ "name": trigger.name })) {
+					result = this.processControllers(trigger.name, trigger.args || null, true);
 				} else {
-					self.options.log("[Backbone.Router] Executing route named '" + currentName + "'");
-				}
+					// Wrap the given parameter in an array
+					if (!_.isArray(trigger.args)) {
+						trigger.args = [trigger.args];
+					}
+
+					// Finish formatting trigger arguments for the dispatcher
+					_.forEach(trigger.args, function(arg) {
+						args.push(arg);
+					});
+
+					// Asynchronous listeners receive a deferred to resolve as their last argument
+					if (trigger.async) {
+						result = getJQuery().Deferred();
+						args.push(result);
+					}
 
-				// Process pre-triggers
-				if (!_.isEmpty(def.before)) {
-					self.processTriggers(def.before);
+					// Dispatch the event
+					this.dispatcher.trigger.apply(this.dispatcher, args);
 				}
 
-				// Execute route main action
-				if (_.isFunction(def.action)) {
-					def.action.apply(self, args);
+				// Keep the result of the trigger and let a failed trigger be executed again
+				if (cache && result) {
+					cache.result = when(result);
+
+					cache.result.fail(function() {
+						self.options.log("[Backbone.Router] Trigger '" + trigger.name + "' failed, removed from cache");
+						self._cachedTriggers = _.without(self._cachedTriggers, cache);
+					});
 				}
 
-				// Process post-triggers
-				if (!_.isEmpty(def.after)) {
-					self.processTriggers(def.after);
+				return result && when(result);
+			} else if (_.isString(trigger)) {
+				// Check if the trigger is actually a declared route
+				if (this.exists({ "name": trigger })) {
+					return this.processControllers(trigger, null, true);
+				} else {
+					// Else give to the dispatcher
+					this.dispatcher.trigger.call(this.dispatcher, trigger);
 				}
-			};
+			} else {
+				this.options.log("[Backbone.Router.processTrigger] Bad trigger format, " +
+					"needs to be a string, an object or a function, given: " + typeof trigger);
+			}
+		},
 
-			// Push the new controller name to the route name's list
-			extendedRoutes[def.path].push(currentName);
 
-			// Push the new controller to the given route controllers list
-			extendedController[name].wrappers.push(controllerWrapper);
+		/**
+		 * Process a list of controllers
+		 * Controllers are executed in order, each one waiting for the previous one to be resolved
+		 * 
+		 * @param  {String}  name The name of the route
+		 * @param  {Array}   args JavaScript arguments array
+		 * @return {Promise}      Resolved when every controller is done, with false if one of them was denied,
+		 *                        redirected or cancelled, rejected on the first failure
+		 */
+		"processControllers": function(name, args, trigger) {
+			var self = this,
+				executed = true;
 
-			// Re-push the controller with the current route name in case it overloads an existing path
-			// This is to permit the go method to work on controllers defined with a same path
-			if (name !== currentName) {
-				// Create a placeholder for the route controllers
-				// Adding the new controller to the given route controllers list
-				extendedController[currentName] = {
-					"re": null,
-					"wrappers": [controllerWrapper]
-				};
+			trigger = trigger || false;
+
+			// Lets not pass [undefined] or [null] as arguments to the controllers
+			if (_.isUndefined(args) || _.isNull(args)) {
+				args = [];
 			}
+			// Ensure args is an array if not an arguments object
+			else if (!_.isArray(args) && !_.isArguments(args)) {
+				args = [args];
+			}
+
+			if (!self._extendedController[name]) {
+				this.options.log("[Backbone.Router.processControllers] Inexisting route name: " + name);
+				return when(false);
+			}
+
+			return sequence(_.map(self._extendedController[name].wrappers, function(callback) {
+				return function() {
+					return callback.call(self, args, trigger).then(function(result) {
+						executed = executed && result !== false;
+					});
+				};
+			})).then(function() {
+				return executed;
+			});
 		},
 
 
 		/**
-		 * Route the application to a specific named route
+		 * Execute the data resolvers of a route in parallel
 		 *
-		 * @param  {Mixed} name  Route name
-		 * @param  {Array} args  List of arguments to pass along
-		 * @return {Boolean}     Will return false if the routing was cancelled, else true
+		 * @param  {Object}  resolvers The resolver methods, keyed by data name
+		 * @param  {Object}  params    The route parameters keyed by name, passed to each resolver
+		 * @return {Promise}           Resolved with the data keyed by name, rejected on the first failure
 		 */
-		"go": function(name, args, options) {
-			var route = null,
-				path = null;
+		"processResolvers": function(resolvers, params) {
+			var self = this,
+				data = {};
 
-			// Check if an object is given instead of a string
-			if (_.isObject(name)) {
-				// Rename object
-				route = name;
+			var promises = _.map(resolvers, function(resolver, key) {
+				return attempt(resolver, self, [params]).then(function(value) {
+					data[key] = value;
+				});
+			});
 
-				// Transfer route name
-				name = route.name;
+			return getJQuery().when.apply(Backbone.$, promises).then(function() {
+				return data;
+			});
+		},
 
-				// Transfer route path and remove first slash
-				path = _.isString(route.path) && route.path.charAt(0) == "/" ? route.path.substring(1) : route.path;
 
-				// Transfer args
-				args = route.args || args;
+		/**
+		 * Execute the guards of a route, a denied route is forbidden or redirected
+		 *
+		 * @param  {String}  name    The name of the route
+		 * @param  {Array}   args    The route arguments
+		 * @param  {Object}  def     The route definition
+		 * @param  {Boolean} trigger Whether the route is executed as a trigger
+		 * @param  {Array}   [guards] The guards to execute instead of the ones of the route
+		 * @return {Promise}         Resolved with true if the route can be executed
+		 */
+		"processGuards": function(name, args, def, trigger, guards) {
+			var self = this,
+				navigationId = this._navigationId,
+				deferred = getJQuery().Deferred();
+
+			checkGuards(this, name, args, def, trigger, guards).done(function(result) {
+				if (result === true) {
+					deferred.resolve(true);
+				} else {
+					deferred.resolve(false);
+
+					// The denial of a route left meanwhile doesn't apply to the new one
+					if (navigationId === self._navigationId) {
+						self.processGuardResult(name, result, args);
+					}
+				}
+			}).fail(deferred.reject);
+
+			return deferred.promise();
+		},
+
+
+		/**
+		 * Apply the result of a guard that did not allow a route
+		 *
+		 * @param  {String} name   The name of the guarded route
+		 * @param  {Mixed}  result A route name or object to redirect to, else the 403 controller is executed
+		 * @param  {Array}  args   The guarded route arguments
+		 */
+		"processGuardResult": function(name, result, args) {
+			if (_.isString(result)) {
+				result = { "name": result };
 			}
 
-			if (!name && !path) {
-				this.options.log("[Backbone.Router.go] Missing parameters, name or path is necessary");
-				return false;
+			if (!_.isObject(result)) {
+				this.options.log("[Backbone.Router] Access denied to route '" + name + "'");
+
+				this.dispatch("route:forbidden", {
+					"from": this._currentRoute,
+					"to": this.routeState(name, args, this._history.fragment)
+				});
+
+				// Execute 403 controller
+				this.processControllers("403", [getLocation(this).path()]);
+				return;
 			}
 
-			// Check if route exists
-			if ((name && !this.exists({ "name": name })) || (path && !this.exists({ "path": path }))) {
-				this.options.log("[Backbone.Router] Inexisting route name: " + name);
+			this.processRedirect(name, result);
+		},
+
+
+		/**
+		 * Redirect a route to another one, replacing the current url.
+		 * A redirect loop stops the navigation and executes the error route.
+		 *
+		 * @param  {String} name   The name of the redirected route
+		 * @param  {Mixed}  target A route name, an object with a name and args (or params), or an object with a path
+		 */
+		"processRedirect": function(name, target) {
+			if (_.isString(target)) {
+				target = { "name": target };
+			}
+
+			target = _.extend({}, target, { "args": target.args || target.params });
 
-				// Execute 404 controller
-				this.processControllers("404", [this.options.pushState ?
-					window.location.pathname.substring(1) : window.location.hash.substring(1)]);
+			if (_.contains(this._redirects, target.name) || _.contains(this._redirects, target.path) || this._redirects.length > 10) {
+				this.processError(name, new Error("[Backbone.Router] Redirect loop detected: " +
+					this._redirects.concat(name, target.name || target.path).join(" > ")));
+				return;
+			}
+
+			this.options.log("[Backbone.Router] Route '" + name + "' redirected to '" + (target.name || target.path) + "'");
+
+			var redirects = this._redirects.concat(name);
+
+			// Routes without a path are executed in place
+			if (!_.isString(target.path) && this.path(target.name) === false) {
+				this._redirects = redirects;
+				this.processControllers(target.name, target.args);
 			} else {
-				var continueProcess = true;
+				this.go(target, null, { "replace": true, "redirects": redirects });
+			}
+		},
 
-				_.forEach(this.currentRoutes, function(route) {
-					// Check if the previous route has a close controller
-					if (_.isFunction(closeControllers[route]) && name !== route) {
-						// Execute close controller passing current route data and retrieve result
-						continueProcess = closeControllers[route].call(self, name, args, options);
-					}
-				});
 
-				// If controller returned false, cancel go process
-				if (!continueProcess) {
-					return false;
-				}
+		/**
+		 * Handle a failed route by executing its errorRoute, or the options.errorRoute route
+		 * The error route controllers receive the error and the current path
+		 *
+		 * @param  {String} name       The name of the route that failed
+		 * @param  {Mixed}  error      The rejection reason or thrown error
+		 * @param  {Object} navigation The from and to states of the failed navigation
+		 */
+		"processError": function(name, error, navigation) {
+			var errorRoute = (this._extendedController[name] && this._extendedController[name].errorRoute) ||
+				this.options.errorRoute;
 
-				// Re-initialize currentRoutes storage
-				this.currentRoutes = [];
+			this.options.log("[Backbone.Router] Route '" + name + "' failed", error);
 
-				// Extend default router navigate options
-				options = _.extend({ "trigger": true, "replace": false }, options);
+			this.dispatch("route:error", _.extend({
+				"from": this._currentRoute,
+				"to": this.routeState(name, null, this._history.fragment)
+			}, navigation, { "error": error }));
 
-				if (!path) {
-					// Retrieve route path
-					path = this.path(name);
+			// Avoid looping when the error route itself fails
+			if (name !== errorRoute && this.exists({ "name": errorRoute })) {
+				this.processControllers(errorRoute, [error, getLocation(this).path()]);
+			}
+		},
 
-					// Inject route arguments if necessary
-					if ((_.isObject(args) || _.isArray(args)) && !_.isEmpty(args)) {
-						path = this.parse(path, args);
-					}
-				}
 
-				if (path !== false) {
-					// Navigate the Backbone.Router
-					router.navigate(path, options);
+		/**
+		 * Set the document title and meta tags declared by a route.
+		 * Titles and meta contents can be underscore templates receiving the route parameters,
+		 * or methods receiving the route parameters and resolved data.
+		 *
+		 * @param  {Object} def    The route definition
+		 * @param  {Object} params The route parameters keyed by name
+		 * @param  {Object} data   The data resolved for the route
+		 */
+		"processTitle": function(def, params, data) {
+			var self = this,
+				head = routeHead(this, def, params, data);
+
+			if (!window.document) {
+				return;
+			}
+
+			if (_.isString(head.title)) {
+				this._titleChanged = true;
+				window.document.title = head.title;
+			}
+
+			_.forEach(head.meta, function(content, name) {
+				// Open Graph like names are set in the property attribute
+				var attribute = /^\w+:/.test(name) ? "property" : "name",
+					element = Backbone.$("head meta[" + attribute + "='" + name + "']").first();
+
+				if (!element.length) {
+					element = Backbone.$("<meta/>").attr(attribute, name).appendTo(window.document.head);
+					self._metaTags.push({ "element": element, "created": true });
+				} else if (!_.any(self._metaTags, function(tag) {
+					return tag.element[0] === element[0];
+				})) {
+					self._metaTags.push({ "element": element, "content": element.attr("content") });
 				}
 
-				return true;
+				element.attr("content", content);
+			});
+		},
+
+
+		/**
+		 * Restore the document title and meta tags changed by the current route
+		 */
+		"restoreTitle": function() {
+			if (this._titleChanged && window.document) {
+				window.document.title = this._defaultTitle;
+				this._titleChanged = false;
 			}
+
+			_.forEach(this._metaTags, function(tag) {
+				if (tag.created) {
+					tag.element.remove();
+				} else if (_.isUndefined(tag.content)) {
+					tag.element.removeAttr("content");
+				} else {
+					tag.element.attr("content", tag.content);
+				}
+			});
+
+			this._metaTags = [];
 		},
 
 
 		/**
-		 * Process a list of triggers that can be declared as a simple string or an object
-		 * 
-		 * @param  {Array} triggers The list of triggers to process
+		 * Update the scroll position, the focus and the ARIA live region once a route is displayed.
+		 * The scrollBehavior and focus options of the route override the router ones.
+		 *
+		 * @param  {String}  name       The name of the displayed route, null for a 404
+		 * @param  {Object}  navigation The from and to states of the navigation
+		 * @param  {Boolean} traversal  Whether the back or forward buttons were used
 		 */
-		"processTriggers": function(triggers) {
-			var self = this;
+		"processPageChange": function(name, navigation, traversal) {
+			var entry = (name && this._extendedController[name]) || {},
+				behavior = _.isUndefined(entry.scrollBehavior) ? this.options.scrollBehavior : entry.scrollBehavior,
+				focus = _.isUndefined(entry.focus) ? this.options.focus : entry.focus,
+				saved = traversal ? this._scrollPositions[this._entry] || null : null,
+				position = null;
+
+			// Nothing to update without a document, such as on the server
+			if (!window.document) {
+				return;
+			}
 
-			if (_.isArray(triggers)) {
-				_.forEach(triggers, function(trigger) {
-					self.processTrigger(trigger);
-				});
-			} else if (_.isString(triggers) || _.isObject(triggers)) {
-				this.processTrigger(triggers);
-			} else {
-				this.options.log("[Backbone.Router.processTriggers] Bad triggers format, needs to be a string," +
-					" an object, an array of strings or an array of objects");
+			if (_.isFunction(behavior)) {
+				position = behavior.call(this, navigation, saved);
+			} else if (behavior) {
+				// Scroll to the anchor of the url, only available with pushState
+				position = saved || (getLocation(this).hash().length > 1 ? getLocation(this).hash() : { "x": 0, "y": 0 });
+			}
+
+			if (_.isString(position)) {
+				var target = Backbone.$(position.charAt(0) === "#" ? "[id='" + position.substring(1) + "']" : position);
+
+				if (target.length) {
+					target[0].scrollIntoView();
+				}
+			} else if (_.isObject(position)) {
+				window.scrollTo(position.x || 0, position.y || 0);
+			}
+
+			if (focus) {
+				var element = Backbone.$(focus).first();
+
+				if (element.length) {
+					// Let non interactive elements receive the focus
+					if (!element.is("a[href], button, input, select, textarea, [tabindex]")) {
+						element.attr("tabindex", "-1");
+					}
+
+					element[0].focus({ "preventScroll": true });
+				}
+			}
+
+			if (this.options.announce) {
+				this.announce(_.isFunction(this.options.announce) ? this.options.announce.call(this, navigation) :
+					window.document.title || navigation.to.path);
 			}
 		},
 
 
 		/**
-		 * Process a single trigger
-		 * 
-		 * @param  {Mixed} trigger String or Object describing the trigger
+		 * Announce a message in the ARIA live region of the router, it is created on first use
+		 *
+		 * @param  {String} message The message read by screen readers
 		 */
-		"processTrigger": function(trigger) {
-			if (_.isObject(trigger)) {
-				// Create a dispatcher format object
-				var args = [trigger.name];
+		"announce": function(message) {
+			if (!this._liveRegion) {
+				this._liveRegion = Backbone.$("<div/>", {
+					"class": "backbone-router-announcer",
+					"aria-live": "polite",
+					"aria-atomic": "true"
+				}).css({
+					"position": "absolute",
+					"width": "1px",
+					"height": "1px",
+					"margin": "-1px",
+					"padding": 0,
+					"overflow": "hidden",
+					"clip": "rect(0, 0, 0, 0)",
+					"white-space": "nowrap",
+					"border": 0
+				}).appendTo(window.document.body);
+			}
 
-				// Check if the trigger is marked for caching
-				if (trigger.cache) {
-					// Find cached trigger object
-					var cache = this.findCachedTrigger(trigger);
+			this._liveRegion.text(message || "");
+		},
 
-					// Has it already been executed ?
-					if (cache.done) {
-						this.options.log("[Backbone.Router] Trigger '" + trigger.name + "' has been skipped (cached)");
-						return;
-					}
 
-					// Mark it done
-					cache.done = true;
-				}
+		/**
+		 * Handle a path or a route name that doesn't exist by executing the 404 controller,
+		 * which receives the path, or the route name when no path was requested
+		 *
+		 * @param  {String} path The path that wasn't found, null if a route name was requested
+		 * @param  {String} name The route name that wasn't found, if any
+		 */
+		"processNotFound": function(path, name) {
+			this.options.log("[Backbone.Router] Inexisting route: " + (_.isString(path) ? path : name));
 
-				// Check if the trigger is actually a declared route
-				if (this.exists({ "name": trigger.name })) {
-					this.processControllers(trigger.name, trigger.args || null, true);
-					return;
-				}
+			this.dispatch("route:notfound", {
+				"from": this._currentRoute,
+				"to": { "name": name || null, "params": {}, "path": path }
+			});
 
-				// Wrap the given parameter in an array
-				if (!_.isArray(trigger.args)) {
-					trigger.args = [trigger.args];
-				}
+			this.processControllers("404", [_.isString(path) ? path : name]);
+		},
 
-				// Finish formatting trigger arguments for the dispatcher
-				_.forEach(trigger.args, function(arg) {
-					args.push(arg);
-				});
 
-				// Dispatch the event
-				this.dispatcher.trigger.apply(this.dispatcher, args);
-			} else if (_.isString(trigger)) {
-				// Check if the trigger is actually a declared route
-				if (this.exists({ "name": trigger })) {
-					this.processControllers(trigger, null, true);
-				} else {
-					// Else give to the dispatcher
-					this.dispatcher.trigger.call(this.dispatcher, trigger);
-				}
-			} else {
-				this.options.log("[Backbone.Router.processTrigger] Bad trigger format, " +
-					"needs to be a string or an object, given: " + typeof trigger);
+		/**
+		 * Describe a route for the navigation events
+		 *
+		 * @param  {String} name The route name
+		 * @param  {Mixed}  args The route arguments, positional or a parameters object
+		 * @param  {String} path The route path
+		 * @return {Object}      The route name, parameters object keyed by name and path
+		 */
+		"routeState": function(name, args, path) {
+			var pattern = this.path(name);
+
+			if (_.isObject(args) && !_.isArray(args) && !_.isArguments(args)) {
+				args = [args];
 			}
+
+			return {
+				"name": name,
+				"params": pattern === false ? {} : extractParams(pattern, args || []),
+				"path": path
+			};
 		},
 
 
 		/**
-		 * Process a list of controllers
-		 * 
-		 * @param  {String} name The name of the route
-		 * @param  {Array}  args JavaScript arguments array
+		 * Emit a navigation event on the dispatcher
+		 *
+		 * Events :
+		 *  - navigate:start: A route is about to be processed
+		 *  - navigate:end: A route has been processed, a denied or redirected route ends without it
+		 *  - navigate:cancel: A close controller cancelled the navigation
+		 *  - route:notfound: No route matches the path or name
+		 *  - route:forbidden: A guard denied the access to a route
+		 *  - route:error: A trigger, an action or a route module failed, the event also holds the error
+		 *  - route:loading, route:loaded: The module of a lazy-loaded route is being loaded or was loaded
+		 *
+		 * Each navigation event receives an object with the from and to routes name, params and path.
+		 * The navigation events are recorded in the navigation log when the debug option is set.
+		 *
+		 * @param  {String} event The event name
+		 * @param  {Object} data  The event data
 		 */
-		"processControllers": function(name, args, trigger) {
-			var self = this;
-
-			trigger = trigger || false;
+		"dispatch": function(event, data) {
+			if (this.options.debug && data && data.to) {
+				this._navigationLog.push({
+					"event": event,
+					"from": data.from ? data.from.path : null,
+					"to": data.to.path,
+					"route": data.to.name,
+					"error": data.error,
+					"time": _.now()
+				});
 
-			// Lets not pass [undefined] or [null] as arguments to the controllers
-			if (_.isUndefined(args) || _.isNull(args)) {
-				args = [];
-			}
-			// Ensure args is an array if not an arguments object
-			else if (!_.isObject && !_.isArray(args)) {
-				args = [args];
+				// Only keep the latest navigations
+				if (this._navigationLog.length > 100) {
+					this._navigationLog.shift();
+				}
 			}
 
-			_.forEach(extendedController[name].wrappers, function(callback) {
-				callback.call(self, args, trigger);
-			});
+			if (this.dispatcher) {
+				this.dispatcher.trigger(event, data);
+			}
 		},
 
 
@@ -582,13 +3285,26 @@
 		 * @return {Object}         Cached trigger object
 		 */
 		"findCachedTrigger": function(trigger) {
-			var cache = _.find(cachedTriggers, function(item) {
-				return item.name == trigger.name;
-			});
+			var key = cacheKey(trigger),
+				cache = _.find(this._cachedTriggers, function(item) {
+					return item.key === key;
+				});
+
+			// Forget the expired trigger
+			if (cache && cache.expires && cache.expires <= _.now()) {
+				this._cachedTriggers = _.without(this._cachedTriggers, cache);
+				cache = null;
+			}
 
 			// If it doesn't exist, create it and retrieve it again
 			if (!cache) {
-				cachedTriggers.push(_.extend({}, trigger));
+				this._cachedTriggers.push(_.extend({}, trigger, {
+					"key": key,
+					"done": false,
+					"result": undefined,
+					"scope": trigger.cache === "route" ? "route" : "session",
+					"route": this._currentRoute && this._currentRoute.name
+				}));
 
 				return this.findCachedTrigger(trigger);
 			}
@@ -598,10 +3314,37 @@
 
 
 		/**
-		 * Clear all cached triggers
+		 * Clear the cached triggers, all of them or the ones with the given name
+		 *
+		 * @param  {String} name The trigger name, optional
+		 */
+		"clearCache": function(name) {
+			if (_.isUndefined(name)) {
+				this._cachedTriggers = [];
+				return;
+			}
+
+			this._cachedTriggers = _.reject(this._cachedTriggers, function(cache) {
+				return cache.name === name;
+			});
+		},
+
+
+		/**
+		 * Clear the cached triggers whose name matches a pattern
+		 *
+		 * @param  {RegExp|String} pattern A regexp, or a string where '*' matches any characters (i.e. 'core:*')
 		 */
-		"clearCache": function() {
-			cachedTriggers = [];
+		"invalidate": function(pattern) {
+			if (_.isString(pattern)) {
+				pattern = new RegExp("^" + _.map(pattern.split("*"), function(part) {
+					return part.replace(/[\-{}\[\]()+?.,\\\^$|#\s\/]/g, "\\$&");
+				}).join(".*") + "$");
+			}
+
+			this._cachedTriggers = _.reject(this._cachedTriggers, function(cache) {
+				return pattern.test(cache.name);
+			});
 		},
 
 
@@ -612,12 +3355,13 @@
 		 * @return {String}           The route path or false if not found
 		 */
 		"path": function(routeName) {
-			var result = false;
+			var self = this,
+				result = false;
 
 			// @todo Re-write this in VanillaJS so that we can break the loop when the result has been found
-			_.forEach(extendedRoutes, function(currentRoutes, path) {
+			_.forEach(this._extendedRoutes, function(currentRoutes, path) {
 				_.forEach(currentRoutes, function(route) {
-					if (route === routeName && !_.isUndefined(path)) {
+					if (route === routeName && _.has(self._routes, path)) {
 						result = path;
 					}
 				});
@@ -639,14 +3383,15 @@
 			}
 
 			if (params.name) {
-				return !! extendedController[params.name];
-			} else if (params.path) {
+				return !! this._extendedController[params.name];
+			} else if (_.isString(params.path)) {
 				var found = false,
-					name = null;
+					name = null,
+					path = params.path.replace(/#.*$/, "");
 
 				// Loop through all the controllers
-				for (name in extendedController) {
-					if (extendedController[name].re && extendedController[name].re.test(params.path)) {
+				for (name in this._extendedController) {
+					if (this._extendedController[name].re && this._extendedController[name].re.test(path)) {
 						return true;
 					}
 				}
@@ -656,80 +3401,459 @@
 		},
 
 
+		/**
+		 * Register a controller that the routes loaded from a configuration can refer to.
+		 * A controller is a method, or an object which methods are referred to as "name.method".
+		 *
+		 * For example :
+		 *
+		 * this.controller("users", {
+		 *   "show": function(id) {
+		 *     // Render the user
+		 *   }
+		 * });
+		 *
+		 * @param  {String} name       The controller name
+		 * @param  {Mixed}  controller The controller method or object
+		 */
+		"controller": function(name, controller) {
+			if (!_.isObject(controller)) {
+				this.options.log("[Backbone.Router.controller] Missing controller for '" + name + "'");
+				return;
+			}
+
+			this._controllers[name] = controller;
+		},
+
+
+		/**
+		 * Declare routes from a configuration, a plain object or its JSON string keyed by route name.
+		 * The route configurations take the route definition parameters that can be written in JSON,
+		 * and refer to the controllers registry :
+		 *  - controller (String): The controller executed as the route action, "name" or "name.method"
+		 *  - close (String): The controller executed as the close controller
+		 *  - resolve (Object): The controllers resolving the route data, keyed by data name
+		 *  - constraints (Object): A constraint can be an object with the pattern of a RegExp
+		 *  - children (Object): The children routes configurations
+		 *
+		 * For example :
+		 *
+		 * {
+		 *   "user_show": {
+		 *     "path": "/user/:id",
+		 *     "controller": "users.show",
+		 *     "authed": true,
+		 *     "before": ["menu:render"],
+		 *     "constraints": { "id": "int" }
+		 *   }
+		 * }
+		 *
+		 * @param  {Mixed}   config The routes configuration object or JSON string
+		 * @return {Boolean}        False if the configuration can't be read
+		 */
+		"load": function(config) {
+			if (_.isString(config)) {
+				try {
+					config = JSON.parse(config);
+				} catch (error) {
+					this.options.log("[Backbone.Router.load] Invalid JSON routes configuration", error);
+					return false;
+				}
+			}
+
+			if (!_.isObject(config)) {
+				this.options.log("[Backbone.Router.load] Missing routes configuration as the first param");
+				return false;
+			}
+
+			_.forEach(config, function(def, name) {
+				this.route(name, routeFromConfig(this, def || {}));
+			}, this);
+
+			return true;
+		},
+
+
+		/**
+		 * Export the declared routes as a configuration that the load method reads, keyed by route name.
+		 * The children routes are exported with their full name and path, the methods that are not
+		 * controllers of the registry are left out.
+		 * It is used by JSON.stringify, for example to share the routes with the server.
+		 *
+		 * @return {Object} The routes configuration
+		 */
+		"toJSON": function() {
+			var config = {};
+
+			_.forEach(this._extendedController, function(entry, name) {
+				var def = entry.definition || {},
+					route = {};
+
+				if (_.isString(entry.path)) {
+					route.path = "/" + entry.path;
+				}
+
+				if (_.isString(def.action)) {
+					route.action = def.action;
+				} else if (def.action && def.action.reference) {
+					route.controller = def.action.reference;
+				}
+
+				config[name] = _.extend(route, exportValue(_.omit(def, "path", "action", "children")));
+			});
+
+			return config;
+		},
+
+
+		/**
+		 * List the declared routes
+		 *
+		 * @return {Array} The routes name, path, compiled regexp (null without path), aliases, authed option, triggers and guards
+		 */
+		"routes": function() {
+			var self = this;
+
+			return _.map(this._extendedController, function(entry, name) {
+				var def = entry.definition || {};
+
+				return {
+					"name": name,
+					"path": _.isString(entry.path) ? "/" + entry.path : null,
+					// Routes sharing a path and routes declared before the router is started have no bound regexp
+					"re": entry.re || (_.isString(entry.path) ? compilePath(entry.path, entry.constraints) : null),
+					"alias": _.isString(def.action) ? def.action : null,
+					"aliases": _.filter(_.keys(self._extendedController), function(alias) {
+						return (self._extendedController[alias].definition || {}).action === name;
+					}),
+					"authed": def.authed,
+					"priority": def.priority || 0,
+					"before": def.before || [],
+					"after": def.after || [],
+					"guards": def.guards || []
+				};
+			});
+		},
+
+
+		/**
+		 * Describe the active route
+		 *
+		 * @return {Object} The route name, parameters, query and path, null before the first route.
+		 *                  The background holds the state of the page under a modal route, null when none is open.
+		 */
+		"current": function() {
+			var describe = function(state) {
+				return {
+					"name": state.name,
+					"params": _.omit(state.params, "query"),
+					"query": state.params.query || {},
+					"path": state.path
+				};
+			};
+
+			if (!this._currentRoute) {
+				return null;
+			}
+
+			return _.extend(describe(this._currentRoute), {
+				"background": this._background ? describe(this._background.route) : null
+			});
+		},
+
+
+		/**
+		 * Find the route that would handle a path, without executing it
+		 *
+		 * @param  {String} path The path relative to the root url, may include a query string
+		 * @return {Object}      The route name, parameters, query and path, null if no route matches
+		 */
+		"match": function(path) {
+			var matched = matchPath(this, path);
+
+			if (!matched) {
+				return null;
+			}
+
+			var state = this.routeState(matched.name, matched.args, matched.path);
+
+			return {
+				"name": matched.name,
+				"params": _.omit(state.params, "query"),
+				"query": state.params.query || {},
+				"path": matched.path
+			};
+		},
+
+
+		/**
+		 * Resolve a url without a browser, for example to render it on the server:
+		 * the route is matched, its module loaded, its guards and redirect checked and its data resolved.
+		 * The resolved object can be given to the hydrate option of the router in the browser
+		 * so that the route doesn't resolve its data again.
+		 *
+		 * @param  {String}  url The url path relative to the root url, may include a query string
+		 * @return {Promise}     Resolved with the status (200, 302, 403 or 404), the route name, params, query,
+		 *                       path, data, title and meta contents, or the redirect target and its url
+		 * @throws {Error}       If Backbone.$ doesn't provide the jQuery promises
+		 */
+		"resolve": function(url) {
+			var self = this,
+				matched = matchPath(this, url);
+
+			getJQuery();
+
+			if (!matched) {
+				return when({ "status": 404, "name": null, "path": String(url || "").replace(/^[#\/]+/, "") });
+			}
+
+			var entry = this._extendedController[matched.name];
+
+			// Describe a redirect to the route given by a guard or a redirect definition
+			var redirect = function(target) {
+				var url = null;
+
+				target = _.isString(target) ? { "name": target } : target;
+
+				try {
+					url = self.url(target.name, target.params || target.args);
+				} catch (error) {
+					self.options.log("[Backbone.Router.resolve] Could not build the url of route '" + target.name + "'", error);
+				}
+
+				return { "status": 302, "name": matched.name, "path": matched.path, "redirect": target, "url": url };
+			};
+
+			return when(entry.definition && entry.definition.load ? entry.load() : null).then(function() {
+				var def = entry.definition || {},
+					args = matched.args,
+					state = self.routeState(matched.name, args, matched.path);
+
+				if (_.isUndefined(def.namedParams) ? self.options.namedParams : def.namedParams) {
+					args = [extractParams(matched.pattern, args)];
+				}
+
+				if (def.redirect) {
+					return attempt(function() {
+						return _.isFunction(def.redirect) ? def.redirect.call(self, state.params) :
+							{ "name": def.redirect, "params": _.omit(state.params, "query") };
+					}).then(redirect);
+				}
+
+				return checkGuards(self, matched.name, args, def, false).then(function(result) {
+					if (result !== true) {
+						return _.isString(result) || _.isObject(result) ? redirect(result) :
+							{ "status": 403, "name": matched.name, "path": matched.path };
+					}
+
+					return self.processResolvers(def.resolve || {}, state.params).then(function(data) {
+						var head = routeHead(self, def, state.params, data);
+
+						return {
+							"status": 200,
+							"name": matched.name,
+							"params": _.omit(state.params, "query"),
+							"query": state.params.query || {},
+							"path": matched.path,
+							"data": data,
+							"title": head.title,
+							"meta": head.meta
+						};
+					});
+				});
+			});
+		},
+
+
+		/**
+		 * Retrieve the navigation events recorded while the debug option is set
+		 *
+		 * @return {Array} The navigation events, with the from and to paths, route name, error and time
+		 */
+		"navigationLog": function() {
+			return this._navigationLog.slice();
+		},
+
+
 		/**
 		 * Parse a path to inject a list of arguments into the path
+		 * The arguments can be an array mapped by position or an object mapped by parameter name,
+		 * in which case a 'query' object is appended as a query string
 		 * 
 		 * @param  {String} path The path to parse containing argument declarations starting with colons
-		 * @param  {Array}  args List of arguments to inject into the path
-		 * @return {String}      The path with the arguments injected
+		 * @param  {Mixed}  args List or object of arguments to inject into the path
+		 * @return {String}      The path with the arguments injected, false if an argument is missing or breaks a constraint
 		 */
 		"parse": function(path, args) {
-			if (!_.isArray(args) || _.isEmpty(args)) {
-				return path;
+			var name = this._routes[path],
+				constraints = this._extendedController[name] && this._extendedController[name].constraints;
+
+			try {
+				return buildPath(path, args, constraints, args && args.query);
+			} catch (error) {
+				this.options.log("[Backbone.Router.parse] " + error.message);
+				return false;
+			}
+		},
+
+
+		/**
+		 * Generate the url of a named route.
+		 * The url respects the root option and the pushState or hash mode, parameters are URI encoded.
+		 *
+		 * For example :
+		 *
+		 * Backbone.Router.url("user_show", { "id": 42 }, { "query": { "tab": "profile" }, "hash": "bio" });
+		 * // "/user/42?tab=profile#bio"
+		 *
+		 * Url options :
+		 *  - query (Object, Optional): Parameters appended as a query string
+		 *  - hash (String, Optional): Anchor appended to the url, in pushState mode only
+		 *  - absolute (Boolean, Optional): Prepend the protocol and host
+		 *
+		 * @param  {String} name    The route name
+		 * @param  {Mixed}  params  List of parameters mapped by position or object mapped by name
+		 * @param  {Object} options Url options
+		 * @return {String}         The url
+		 * @throws {Error}          If the route doesn't exist, a required parameter is missing or breaks a constraint
+		 */
+		"url": function(name, params, options) {
+			var path = this.path(name),
+				routerOptions = this.options || defaultOptions;
+
+			options = options || {};
+
+			if (path === false) {
+				throw new Error(this.exists({ "name": name }) ? "[Backbone.Router] Route '" + name + "' has no path" :
+					"[Backbone.Router] Inexisting route name: " + name);
 			}
 
-			var parts = path.split("/"),
-				argIndex = 0;
+			var query = _.extend({}, params && params.query, options.query),
+				fragment = buildPath(path, params, this._extendedController[this._routes[path]].constraints, query),
+				root = ("/" + routerOptions.root + "/").replace(/^\/+|\/+$/g, "/"),
+				url;
 
-			var newParts = _.map(parts, function(part) {
-				if (part.charAt(0) == ":") {
-					var arg = args[argIndex];
-					argIndex++;
+			if (routerOptions.pushState) {
+				// Backbone.history removes the trailing slash of the root for empty fragments
+				url = fragment === "" && root !== "/" ? root.slice(0, -1) : root + fragment;
 
-					return arg;
+				if (options.hash) {
+					url += "#" + encodeURIComponent(options.hash);
 				}
-				return part;
-			});
+			} else {
+				url = root + "#" + fragment;
+			}
 
-			return newParts.join("/");
+			if (options.absolute) {
+				url = (window.location ? window.location.protocol + "//" + window.location.host : "") + url;
+			}
+
+			return url;
 		},
 
 		/**
 		 * Retrieve the path for a named route
-		 * 
+		 *
+		 * @deprecated Use the url method
 		 * @param  {String} routeName  The route name
 		 * @param  {Array}  args       The arguments that need to be injected into the path
 		 * @return {String}            The route path or false if the route doesn't exist
 		 */
 		"getPath": function(routeName, args) {
-			var path;
+			var path = this.path(routeName);
+
+			return path === false ? false : this.parse(path, args);
+		},
+
+
+		/**
+		 * Set whether the user is logged in and emit an auth:change event.
+		 * When logging in, the user is taken back to the route stored while redirecting to the login route,
+		 * else the guards of the current route are executed again, leading to the 403 or login route if it is denied.
+		 *
+		 * @param  {Boolean} authed Whether the user is logged in
+		 * @param  {Object}  user   The logged in user, optional
+		 * @return {Boolean}        True if the user is taken back to a stored route
+		 */
+		"setAuthed": function(authed, user) {
+			this.options.authed = !!authed;
+			this.user = this.options.authed ? user || null : null;
+
+			this.dispatch("auth:change", { "authed": this.options.authed, "user": this.user });
 
-			for (path in routes) {
-				if (routes[path] === routeName) {
-					return this.parse(path, args);
+			var storedRoute = this.options.authed && this.getStoredRoute();
+
+			if (!storedRoute) {
+				if (this._recheck) {
+					this.options.log("[Backbone.Router] Authentication changed, checking current route");
+					this._recheck();
 				}
+
+				return false;
 			}
 
-			return false;
+			this.options.log("[Backbone.Router] Returning to stored route: " + storedRoute);
+
+			this.clearStore();
+
+			// Replace the login url in the browser history
+			this.go({ "path": storedRoute }, null, { "replace": true });
+
+			return true;
 		},
 
 
 		/**
-		 * Store the current pathname in the local storage
+		 * Store the current url, relative to the root url and with its query string and anchor,
+		 * to return to it after logging in
 		 */
 		"storeCurrentRoute": function() {
-			// Retrieve current path
-			var path = this.options.pushState ? window.location.pathname : window.location.hash;
+			var storage = getStorage(this.options.storage),
+				path = this._history.fragment || "";
 
-			// Remove first / or #
-			path = path.substring(1);
+			path += getLocation(this).hash();
 
 			this.options.log("[Backbone.Router] Storing current path: " + path);
 
-			// @todo Store the path for next init after page reload
-			if (localStorage) {
-				localStorage.setItem("backbone-router:path", path);
+			if (!storage) {
+				this.options.log("[Backbone.Router] Could not store current path, storage unavailable");
+				return;
+			}
+
+			try {
+				storage.setItem(storeKey(this), JSON.stringify({ "path": path, "time": _.now() }));
+			} catch (error) {
+				this.options.log("[Backbone.Router] Could not store current path", error);
 			}
 		},
 
 
 		/**
-		 * Retrieve the stored route if any
-		 * 
-		 * @return {String} The currenlty stored route as a string, null if not existing, false if localStorage doesn't exist
+		 * Retrieve the stored route if any, an expired route is cleared
+		 *
+		 * @return {String} The stored url, null if there isn't any or if it expired
 		 */
 		"getStoredRoute": function() {
-			return localStorage && localStorage.getItem("backbone-router:path");
+			var storage = getStorage(this.options.storage),
+				stored = null;
+
+			try {
+				stored = storage && JSON.parse(storage.getItem(storeKey(this)));
+			} catch (error) {
+				this.options.log("[Backbone.Router] Could not read stored path", error);
+			}
+
+			if (!stored || !_.isString(stored.path)) {
+				return null;
+			}
+
+			if (this.options.storedRouteExpiry && _.now() - stored.time > this.options.storedRouteExpiry) {
+				this.options.log("[Backbone.Router] Stored path expired: " + stored.path);
+				this.clearStore();
+				return null;
+			}
+
+			return stored.path;
 		},
 
 
@@ -737,20 +3861,43 @@
 		 * Clear the stored route
 		 */
 		"clearStore": function() {
-			if (localStorage) {
-				localStorage.removeItem("backbone-router:path");
+			var storage = getStorage(this.options.storage);
+
+			try {
+				if (storage) {
+					storage.removeItem(storeKey(this));
+				}
+			} catch (error) {
+				this.options.log("[Backbone.Router] Could not clear stored path", error);
 			}
 		},
 
 		"on": function() {
-			router.on.apply(router, arguments);
+			this._router.on.apply(this._router, arguments);
 		},
 
 		"off": function() {
-			router.off.apply(router, arguments);
+			this._router.off.apply(this._router, arguments);
 		}
 
-	};
+	});
+
+
+	/**
+	 * Default router instance
+	 * @type {Router}
+	 */
+	Backbone.Router = new Router();
 
+	/**
+	 * Create a new router instance owning its own routes and state
+	 *
+	 * @param  {Object} options Options extended when the router is started
+	 * @return {Router}         The router instance
+	 */
+	Backbone.Router.create = function(options) {
+		return new Router(options);
+	};
 
-})(window);
\ No newline at end of file
+	return Backbone.Router;
+});
\ No newline at end of file